@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+'use strict';
+
+// mdclip [file.html] [options]: HTML file (or stdin) -> Markdown on stdout, through the userscript's pipeline.
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { parseArgs } = require('util');
+const { convertHtml } = require('../lib/headless');
+
+const USAGE = `Usage: mdclip [file.html] [options]
+
+Converts an HTML file, or stdin, to Markdown with the userscript's rules.
+
+Options:
+  -u, --url <url>          Page address that relative links resolve against
+                           (default: the file's file:// URL, or about:blank for stdin)
+  -s, --selector <css>     Convert only the matching elements (default: body)
+  -f, --format <dialect>   Shorthand for --set outputDialect=<dialect>
+      --set <key=value>    Any userscript setting, e.g. --set mathDelimiters=brackets (repeatable)
+  -h, --help               Show this help`;
+
+function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      url: { type: 'string', short: 'u' },
+      selector: { type: 'string', short: 's' },
+      format: { type: 'string', short: 'f' },
+      set: { type: 'string', multiple: true },
+      help: { type: 'boolean', short: 'h' },
+    },
+  });
+  if (values.help) {
+    process.stdout.write(USAGE + '\n');
+    return;
+  }
+  if (positionals.length > 1) throw new Error('Expected at most one input file');
+
+  const file = positionals[0] && positionals[0] !== '-' ? path.resolve(positionals[0]) : null;
+  const html = fs.readFileSync(file || 0, 'utf8');
+
+  const settings = {};
+  for (const pair of values.set || []) {
+    const eq = pair.indexOf('=');
+    if (eq < 1) throw new Error(`Expected key=value, got "${pair}"`);
+    settings[pair.slice(0, eq).trim()] = pair.slice(eq + 1);
+  }
+  if (values.format) settings.outputDialect = values.format;
+
+  const url = values.url || (file ? pathToFileURL(file).href : undefined);
+  process.stdout.write(convertHtml(html, { url, settings, selector: values.selector }));
+}
+
+try {
+  main(process.argv.slice(2));
+} catch (e) {
+  process.stderr.write(`mdclip: ${e.message}\nRun mdclip --help for usage.\n`);
+  process.exitCode = 1;
+}
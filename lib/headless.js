@@ -0,0 +1,96 @@
+'use strict';
+
+// The userscript's pipeline (sanitize -> Turndown rules -> post-process) outside the browser: the script and
+// the libraries it @requires are evaluated in a jsdom window, so conversions match what the userscript copies.
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const USERSCRIPT = path.join(__dirname, '..', 'userscript', 'Auto Markdown Selection to Clipboard.js');
+
+// The browser builds the userscript @requires from jsDelivr, loaded from node_modules at the same version and path,
+// so conversions here run the library code the installed script runs.
+const REQUIRE_RE = /^\/\/ @require\s+https:\/\/cdn\.jsdelivr\.net\/npm\/((?:@[^/]+\/)?[^@/]+)@([^/]+)\/(\S+)$/gm;
+
+function libraryFiles(userscript) {
+  return Array.from(userscript.matchAll(REQUIRE_RE), ([, name, version, file]) => {
+    const installed = require(`${name}/package.json`).version;
+    if (installed !== version) throw new Error(`The userscript requires ${name}@${version}, ${installed} is installed`);
+    return require.resolve(`${name}/${file}`);
+  });
+}
+
+let sources = null;
+function loadSources() {
+  if (!sources) {
+    const userscript = fs.readFileSync(USERSCRIPT, 'utf8');
+    sources = { libraries: libraryFiles(userscript).map(file => fs.readFileSync(file, 'utf8')), userscript };
+  }
+  return sources;
+}
+
+// "true" / "12" / "org" -> the type SETTINGS_SCHEMA declares for `key`; throws on unknown keys and bad values.
+function parseSetting(schema, key, raw) {
+  const field = schema.find(f => f.key === key);
+  if (!field) throw new Error(`Unknown setting: ${key}`);
+  let value = raw;
+  if (field.type === 'boolean') {
+    if (raw === true || raw === 'true' || raw === '') value = true;
+    else if (raw === false || raw === 'false') value = false;
+  } else if (field.type === 'number') {
+    value = Number(raw);
+  }
+  return value;
+}
+
+// A window holding `html` (the page: reference lists, <base>, meta tags) with the pipeline loaded into it.
+// settings: Policies overrides, validated like imported settings; url: the page address links resolve against.
+function createPipeline({ html = '', url = 'about:blank', settings = {} } = {}) {
+  const dom = new JSDOM(html, { url, runScripts: 'outside-only', pretendToBeVisual: true });
+  const { window } = dom;
+  const { libraries, userscript } = loadSources();
+  for (const src of libraries) window.eval(src);
+  // The pipeline comes back through an argument, not a global the page could also see or set.
+  const api = {};
+  window.eval(`(function (mdclipHeadless) {\n${userscript}\n})`)(api);
+  if (!api.Policies) throw new Error('Userscript did not expose its pipeline');
+
+  const values = {};
+  for (const [key, raw] of Object.entries(settings)) values[key] = parseSetting(api.SETTINGS_SCHEMA, key, raw);
+  const valid = api.settings.validateValues(values);
+  const rejected = Object.keys(values).filter(k => !(k in valid));
+  if (rejected.length) throw new Error(`Invalid value for setting: ${rejected.join(', ')}`);
+  Object.assign(api.Policies, valid);
+
+  // Markdown for the elements matching `selector` (default: the whole body), as the userscript would copy
+  // a selection spanning them, source attribution included when sourceHeader asks for it.
+  function convert(selector = 'body') {
+    const doc = window.document;
+    const roots = Array.from(doc.querySelectorAll(selector));
+    if (!roots.length) throw new Error(`Nothing matches ${selector}`);
+    const containers = roots.map((root) => {
+      const div = doc.createElement('div');
+      for (const child of root.childNodes) div.appendChild(child.cloneNode(true));
+      return api.sanitizer.sanitize(div);
+    });
+    const md = api.renderMarkdown(containers, doc);
+    const text = roots.map(r => r.textContent).join('\n');
+    // collect() reads the nearest heading from where the selection starts, as the userscript passes it
+    const range = doc.createRange();
+    range.selectNodeContents(roots[0]);
+    const source = api.Policies.sourceHeader !== 'none' ? api.attribution.collect(range, text) : null;
+    return api.postProcess(md, source);
+  }
+
+  return { ...api, window, convert, close: () => window.close() };
+}
+
+// One-shot: HTML string in, Markdown out.
+function convertHtml(html, { url, settings, selector } = {}) {
+  const pipeline = createPipeline({ html, url, settings });
+  try { return pipeline.convert(selector); }
+  finally { pipeline.close(); }
+}
+
+module.exports = { createPipeline, convertHtml, parseSetting };
@@ -0,0 +1,40 @@
+'use strict';
+
+// Saved page snippets (#selection is what a reader would select) against the Markdown the pipeline should copy.
+// UPDATE_FIXTURES=1 npm test rewrites the expected files after an intended output change; review the diff.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { convertHtml } = require('../lib/headless');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const URL = 'https://example.org/page';
+const GITHUB_URL = 'https://github.com/example/repo';
+
+const CASES = [
+  { fixture: 'wikipedia' },
+  { fixture: 'mathjax' },
+  { fixture: 'katex' },
+  { fixture: 'github', url: GITHUB_URL },
+  { fixture: 'katex', expected: 'katex.brackets', settings: { mathDelimiters: 'brackets' } },
+  { fixture: 'github', expected: 'github.obsidian', url: GITHUB_URL, settings: { outputDialect: 'obsidian' } },
+  { fixture: 'github', expected: 'github.org', url: GITHUB_URL, settings: { outputDialect: 'org' } },
+  { fixture: 'images' },
+  { fixture: 'stackexchange', url: 'https://math.stackexchange.com/questions/100/why-is-the-integral-one-half' },
+  { fixture: 'arxiv', url: 'https://arxiv.org/html/2401.00001v1' },
+  { fixture: 'mdn', url: 'https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/at' },
+  { fixture: 'mdn', expected: 'mdn.obsidian', url: 'https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/at',
+    settings: { outputDialect: 'obsidian' } },
+];
+
+for (const { fixture, expected = fixture, url = URL, settings = {} } of CASES) {
+  test(`${fixture} -> ${expected}.md`, () => {
+    const html = fs.readFileSync(path.join(FIXTURES, `${fixture}.html`), 'utf8');
+    const md = convertHtml(html, { url, settings, selector: '#selection' });
+    const file = path.join(FIXTURES, `${expected}.md`);
+    if (process.env.UPDATE_FIXTURES) fs.writeFileSync(file, md);
+    assert.strictEqual(md, fs.readFileSync(file, 'utf8'));
+  });
+}
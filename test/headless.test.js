@@ -0,0 +1,191 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { JSDOM } = require('jsdom');
+const { createPipeline, convertHtml } = require('../lib/headless');
+
+const CLI = path.join(__dirname, '..', 'bin', 'mdclip.js');
+const USERSCRIPT = path.join(__dirname, '..', 'userscript', 'Auto Markdown Selection to Clipboard.js');
+
+test('settings are typed and validated against the schema', () => {
+  const pipeline = createPipeline({ settings: { blanklineMax: '2', tightLists: 'false', outputDialect: 'org' } });
+  try {
+    assert.strictEqual(pipeline.Policies.blanklineMax, 2);
+    assert.strictEqual(pipeline.Policies.tightLists, false);
+    assert.strictEqual(pipeline.Policies.outputDialect, 'org');
+  } finally { pipeline.close(); }
+
+  assert.throws(() => createPipeline({ settings: { noSuchSetting: 'x' } }), /Unknown setting: noSuchSetting/);
+  assert.throws(() => createPipeline({ settings: { outputDialect: 'rst' } }), /Invalid value for setting: outputDialect/);
+});
+
+test('a page cannot switch the installed userscript to headless mode', () => {
+  const { window } = new JSDOM('<p>x</p>', { url: 'https://example.org/', runScripts: 'outside-only' });
+  try {
+    window.GM_info = { script: {} };
+    window.mdclipHeadless = {};
+    window.eval(fs.readFileSync(USERSCRIPT, 'utf8'));
+    assert.deepStrictEqual(Object.keys(window.mdclipHeadless), []);
+  } finally { window.close(); }
+});
+
+test('normalizeWikiTex unwraps MediaWiki display style', () => {
+  const pipeline = createPipeline();
+  try {
+    const norm = pipeline.normalizeWikiTex('{\\displaystyle E=mc^{2}}');
+    assert.strictEqual(norm.latex, 'E=mc^{2}');
+    assert.strictEqual(norm.forceDisplay, true);
+  } finally { pipeline.close(); }
+});
+
+test('postProcess caps blank runs and tightens lists and display math, but not inside code', () => {
+  const pipeline = createPipeline();
+  try {
+    const md = '-   a\n\n-   b\n\n\n\n$$\nx\n$$\n\n$$\ny\n$$\n\n```\n-   c\n\n-   d\n```\n';
+    assert.strictEqual(pipeline.postProcess(md), '-   a\n-   b\n\n$$\nx\n$$\n$$\ny\n$$\n\n```\n-   c\n\n-   d\n```\n');
+  } finally { pipeline.close(); }
+});
+
+test('Org output escapes emphasis markers in plain text', () => {
+  const md = convertHtml('<p>with *star* and /path/ or =x=, a+b and <b>bold</b></p>', { settings: { outputDialect: 'org' } });
+  assert.strictEqual(md, 'with \u200B*star* and \u200B/path/ or \u200B=x=, a+b and *bold*\n');
+});
+
+test('GitLab math fences stay apart from each other and from code', () => {
+  const html = '<math display="block"><mi>x</mi></math><math display="block"><mi>y</mi></math><pre><code>code</code></pre>' +
+    '<math display="block"><mi>z</mi></math>';
+  assert.strictEqual(convertHtml(html, { settings: { mathDelimiters: 'gitlab' } }),
+    '```math\nx\n```\n\n```math\ny\n```\n\n```\ncode\n```\n\n```math\nz\n```\n');
+});
+
+test('links resolve against the page URL and citations become footnotes', () => {
+  const html = '<p id="s">See <a href="../b">b</a>.<sup class="reference"><a href="#n1">[1]</a></sup></p>' +
+    '<ol class="references"><li id="n1"><span class="reference-text">A source.</span></li></ol>';
+  const md = convertHtml(html, { url: 'https://example.org/a/c', selector: '#s' });
+  assert.strictEqual(md, 'See [b](https://example.org/b).[^1]\n\n[^1]: A source.\n');
+});
+
+test('MediaWiki citations become footnotes without their backlinks', () => {
+  const html = '<div class="mw-parser-output"><p id="s">See <a href="../b">b</a>.<sup class="reference"><a href="#n1">[1]</a></sup></p>' +
+    '<ol class="references"><li id="n1"><span class="mw-cite-backlink">^</span> <span class="reference-text">A source.</span></li></ol></div>';
+  const md = convertHtml(html, { url: 'https://example.org/a/c', selector: '#s' });
+  assert.strictEqual(md, 'See [b](https://example.org/b).[^1]\n\n[^1]: A source.\n');
+});
+
+test('joined passages keep their footnotes apart', () => {
+  const pipeline = createPipeline();
+  try {
+    const first = 'One.[^1]\n\n[^1]: First source.';
+    const second = 'Two.[^1] Three.[^2]\n\n[^1]: Second source.\n[^2]: Third source.';
+    assert.strictEqual(pipeline.joinPassages([first, second]),
+      'One.[^1]\n\n[^1]: First source.\n\n---\n\nTwo.[^p2-1] Three.[^p2-2]\n\n[^p2-1]: Second source.\n[^p2-2]: Third source.\n');
+    assert.strictEqual(pipeline.joinPassages(['A [fn:1]\n\n[fn:1] a', 'B [fn:1]\n\n[fn:1] b']),
+      'A [fn:1]\n\n[fn:1] a\n\n---\n\nB [fn:p2-1]\n\n[fn:p2-1] b\n');
+  } finally { pipeline.close(); }
+});
+
+test('line-number gutters are dropped from code only', () => {
+  const html = '<div class="gutter">Important gutter content paragraph</div><p>text</p>' +
+    '<pre><code><span class="ln">1</span>x = 1</code></pre>';
+  assert.strictEqual(convertHtml(html), 'Important gutter content paragraph\n\ntext\n\n```\nx = 1\n```\n');
+});
+
+test('site adapters are picked by host and run all three stages', () => {
+  const html = '<div id="s"><p>Keep <span class="chrome">drop</span><b class="shout">hi</b></p></div>';
+  const pipeline = createPipeline({ html, url: 'https://docs.example.com/guide' });
+  try {
+    pipeline.SiteAdapters.push({
+      name: 'example',
+      hosts: /^docs\.example\.com$/,
+      preClean: (container) => container.querySelectorAll('.chrome').forEach(n => n.remove()),
+      rules: (converter) => converter.td.addRule('shout', { filter: (n) => n.matches('b.shout'), replacement: c => c.toUpperCase() }),
+      postProcess: (md) => md.replace('Keep', 'Kept'),
+    });
+    assert.deepStrictEqual([...pipeline.adaptersFor(pipeline.window.document)].map(a => a.name), ['example']);
+    assert.strictEqual(pipeline.convert('#s'), 'Kept HI\n');
+
+    pipeline.Policies.siteAdapters = false;
+    assert.strictEqual(pipeline.convert('#s'), 'Keep drop**hi**\n');
+  } finally { pipeline.close(); }
+});
+
+test('a selection made during a slow conversion is copied once it ends', async () => {
+  const long = Array.from({ length: 1500 }, (_, i) => `<p>Paragraph ${i} of a selection long enough to convert in chunks.</p>`).join('');
+  const pipeline = createPipeline({ html: `<div id="long">${long}</div><p id="short">Short passage.</p>`, settings: { cooldownMs: 0 } });
+  const { window, engine } = pipeline;
+  const writes = [];
+  window.GM_setClipboard = (text) => writes.push(text);
+  const select = (id) => {
+    const range = window.document.createRange();
+    range.selectNodeContents(window.document.getElementById(id));
+    window.getSelection().removeAllRanges();
+    window.getSelection().addRange(range);
+  };
+  try {
+    select('long');
+    const first = engine.handleTrigger('auto', window);
+    assert.strictEqual(engine.inFlight, true);
+    select('short');
+    await engine.handleTrigger('auto', window);
+    await first;
+    for (const deadline = Date.now() + 5000; writes.length < 2 && Date.now() < deadline;) await new Promise(r => setTimeout(r, 10));
+    assert.strictEqual(writes.length, 2);
+    assert.match(writes[0], /^Paragraph 0 /);
+    assert.strictEqual(writes[1], 'Short passage.\n');
+  } finally { pipeline.close(); }
+});
+
+test('the accumulated buffer carries frontmatter once and source lines after it', async () => {
+  const html = '<title>Page</title><h2 id="a">A</h2><p id="one">First passage.</p><p id="two">Second passage.</p>';
+  const pipeline = createPipeline({ html, url: 'https://example.org/doc', settings: { sourceHeader: 'frontmatter', accumulate: true } });
+  const { window, engine } = pipeline;
+  const store = new Map();
+  const writes = [];
+  window.GM_getValue = (key, def) => (store.has(key) ? store.get(key) : def);
+  window.GM_setValue = (key, value) => store.set(key, value);
+  window.GM_setClipboard = (text) => writes.push(text);
+  const select = (id) => {
+    const range = window.document.createRange();
+    range.selectNodeContents(window.document.getElementById(id));
+    window.getSelection().removeAllRanges();
+    window.getSelection().addRange(range);
+  };
+  try {
+    select('one');
+    await engine.handleTrigger('menu', window);
+    select('two');
+    await engine.handleTrigger('menu', window);
+    assert.match(writes[0], /^---\ntitle: "Page"\n[^]*\n---\n\nFirst passage\.\n$/);
+    assert.strictEqual(writes[1], writes[0] +
+      '\n---\n\nSecond passage.\n\nSource: [Page › A](https://example.org/doc#a:~:text=Second%20passage.)\n');
+  } finally { pipeline.close(); }
+});
+
+test('headless source lines cite the nearest heading and its anchor', () => {
+  const md = convertHtml('<h2 id="intro">Intro</h2><p id="s">Hello world</p>',
+    { url: 'https://ex.org/a', selector: '#s', settings: { sourceHeader: 'footer' } });
+  assert.strictEqual(md, 'Hello world\n\nSource: [ex.org › Intro](https://ex.org/a#intro:~:text=Hello%20world)\n');
+});
+
+test('selector must match', () => {
+  assert.throws(() => convertHtml('<p>x</p>', { selector: '#missing' }), /Nothing matches #missing/);
+});
+
+test('CLI converts stdin with --set and --format', () => {
+  const out = execFileSync(process.execPath, [CLI, '--format', 'asciidoc', '--set', 'escapeDollars=false'], {
+    input: '<h2>Title</h2><p><em>x</em> costs $5</p>',
+    encoding: 'utf8',
+  });
+  assert.strictEqual(out, '=== Title\n\n__x__ costs $5\n');
+});
+
+test('CLI reports bad options on stderr', () => {
+  assert.throws(
+    () => execFileSync(process.execPath, [CLI, '--set', 'oops'], { input: '', encoding: 'utf8', stdio: 'pipe' }),
+    (e) => e.status === 1 && /Expected key=value/.test(e.stderr)
+  );
+});
@@ -2,26 +2,53 @@
 // @name         AutoCopy Markdown (Obsidian-like + MediaWiki Math display fixed)
 // @namespace    mdclipper.autocopy
 // @version      2.4.0
-// @description  Selection -> sanitize (preserve MathML) -> turndown(GFM) with MediaWiki math rule -> postprocess -> clipboard + toast.
+// @description  Selection -> sanitize (preserve MathML) -> turndown(GFM) with per-site adapters (MediaWiki, Stack Exchange, arXiv, GitHub, MDN) -> postprocess -> clipboard + toast.
 // @match        *://*/*
 // @grant        GM_setClipboard
 // @grant        GM.setClipboard
+// @grant        GM_getValue
+// @grant        GM_setValue
+// @grant        GM_registerMenuCommand
+// @grant        unsafeWindow
 // @run-at       document-idle
 // @require      https://cdn.jsdelivr.net/npm/dompurify@3.1.6/dist/purify.min.js
 // @require      https://cdn.jsdelivr.net/npm/turndown@7.2.0/dist/turndown.js
-// @require      https://cdn.jsdelivr.net/npm/turndown-plugin-gfm@1.0.3/dist/turndown-plugin-gfm.js
-// @require      https://cdn.jsdelivr.net/npm/mathml-to-latex@1.5.0/dist/mathml-to-latex.min.js
+// @require      https://cdn.jsdelivr.net/npm/turndown-plugin-gfm@1.0.2/dist/turndown-plugin-gfm.js
+// @require      https://cdn.jsdelivr.net/npm/mathml-to-latex@1.5.0/dist/bundle.min.js
 // ==/UserScript==
 
 (function () {
   'use strict';
 
-  const Policies = Object.freeze({
+  // Built-in defaults; user settings (global + per-hostname) are layered on top by SettingsStore.
+  const Defaults = Object.freeze({
     debug: false,
+    disabled: false,
     debounceMs: 120,
     cooldownMs: 80,
+    // Ask before converting a selection with more characters than this (0: never ask)
+    maxSelectionChars: 300000,
+
+    // 'auto': copy on every selection; 'modifier': only if triggerModifier is held while selecting;
+    // 'hotkey': only via the shortcut (or menu); 'menu': only via the userscript menu command.
+    triggerMode: 'auto',
+    triggerModifier: 'Alt',
+    hotkey: 'Alt+Shift+C',
 
     preferGMSetClipboardSync: true,
+    // Also put the sanitized HTML (text/html) on the clipboard, and optionally a text/markdown flavor.
+    clipboardHtml: true,
+    clipboardMarkdownMime: false,
+    // Open the result in an editable preview instead of copying it straight away.
+    copyPreview: false,
+
+    // 'markdown' (GFM) | 'obsidian' (GFM + highlights, callouts, task items) | 'pandoc' (literal $ always escaped)
+    // | 'org' | 'asciidoc'
+    outputDialect: 'markdown',
+    // Markdown math: 'dollars' ($…$, $$…$$) | 'brackets' (\(…\), \[…\]) | 'gitlab' ($`…`$, ```math)
+    mathDelimiters: 'dollars',
+    // Escape literal $ in prose so renderers don't read it as math.
+    escapeDollars: false,
 
     tightLists: true,
     adjacentDisplayMathTight: true,
@@ -29,16 +56,170 @@
 
     sanitizeWithDOMPurify: true,
 
+    // Console blocks ($ / >>> prompts): copy only the commands, without prompts and output.
+    codeStripPrompts: false,
+
+    // Links/images are always made absolute; optionally drop utm_*, fbclid & co.
+    stripTrackingParams: false,
+
+    // Where the copy came from: 'none' | 'frontmatter' (YAML properties) | 'footer' ("Source: [title](url)" line)
+    sourceHeader: 'none',
+
+    // Append each conversion to a running buffer (joined by the separator line) and copy the whole buffer.
+    accumulate: false,
+    accumulateSeparator: '---',
+    accumulateSourceLine: true,
+    historySize: 20,
+
+    // Images: 'markdown' ![alt](url) | 'wikilink' ![[file.png]] (Obsidian embed); |width hints from width=;
+    // inline <svg> diagrams as data URIs.
+    imageMode: 'markdown',
+    imageWidthHint: false,
+    imageSvgDataUri: true,
+
     // MediaWiki / Wikipedia math
     wikipediaPreferTexAnnotation: true,
     wikipediaRemoveResidualMathImagesAfterExtract: true,
+    // [1] citation superscripts -> [^1] footnotes with definitions looked up in the page's reference list
+    wikipediaCitationsAsFootnotes: true,
+
+    // Per-site clean-up and rules (MediaWiki, Stack Exchange, arXiv/LaTeXML, GitHub, MDN), see SiteAdapters.
+    siteAdapters: true,
   });
 
+  // What the options panel may edit (and import accepts); `type` picks the form control.
+  const SETTINGS_SCHEMA = [
+    { key: 'disabled', label: 'Disabled', type: 'boolean' },
+    { key: 'debounceMs', label: 'Debounce (ms)', type: 'number', min: 0 },
+    { key: 'cooldownMs', label: 'Cooldown (ms)', type: 'number', min: 0 },
+    { key: 'maxSelectionChars', label: 'Ask above (chars, 0 = never)', type: 'number', min: 0 },
+    { key: 'triggerMode', label: 'Trigger', type: 'select', options: ['auto', 'modifier', 'hotkey', 'menu'] },
+    { key: 'triggerModifier', label: 'Trigger modifier', type: 'select', options: ['Alt', 'Shift', 'Control', 'Meta'] },
+    { key: 'hotkey', label: 'Shortcut', type: 'text' },
+    { key: 'preferGMSetClipboardSync', label: 'Prefer GM_setClipboard', type: 'boolean' },
+    { key: 'clipboardHtml', label: 'Also copy HTML', type: 'boolean' },
+    { key: 'clipboardMarkdownMime', label: 'Also copy text/markdown', type: 'boolean' },
+    { key: 'copyPreview', label: 'Preview and edit before copying', type: 'boolean' },
+    { key: 'outputDialect', label: 'Output format', type: 'select', options: ['markdown', 'obsidian', 'pandoc', 'org', 'asciidoc'] },
+    { key: 'mathDelimiters', label: 'Math delimiters (Markdown)', type: 'select', options: ['dollars', 'brackets', 'gitlab'] },
+    { key: 'escapeDollars', label: 'Escape $ in text', type: 'boolean' },
+    { key: 'tightLists', label: 'Tight lists', type: 'boolean' },
+    { key: 'adjacentDisplayMathTight', label: 'Join adjacent display math', type: 'boolean' },
+    { key: 'blanklineMax', label: 'Max consecutive blank lines', type: 'number', min: 0 },
+    { key: 'sanitizeWithDOMPurify', label: 'Sanitize with DOMPurify', type: 'boolean' },
+    { key: 'codeStripPrompts', label: 'Strip console prompts and output', type: 'boolean' },
+    { key: 'stripTrackingParams', label: 'Strip tracking parameters', type: 'boolean' },
+    { key: 'sourceHeader', label: 'Source attribution', type: 'select', options: ['none', 'frontmatter', 'footer'] },
+    { key: 'accumulate', label: 'Accumulate into buffer', type: 'boolean' },
+    { key: 'accumulateSeparator', label: 'Buffer separator', type: 'text' },
+    { key: 'accumulateSourceLine', label: 'Buffer: add source line', type: 'boolean' },
+    { key: 'historySize', label: 'History entries', type: 'number', min: 0 },
+    { key: 'imageMode', label: 'Images', type: 'select', options: ['markdown', 'wikilink'] },
+    { key: 'imageWidthHint', label: 'Image width hints', type: 'boolean' },
+    { key: 'imageSvgDataUri', label: 'Inline SVG as data URI', type: 'boolean' },
+    { key: 'wikipediaPreferTexAnnotation', label: 'MediaWiki: prefer TeX annotation', type: 'boolean' },
+    { key: 'wikipediaRemoveResidualMathImagesAfterExtract', label: 'MediaWiki: drop math fallback images', type: 'boolean' },
+    { key: 'wikipediaCitationsAsFootnotes', label: 'MediaWiki: citations as footnotes', type: 'boolean' },
+    { key: 'siteAdapters', label: 'Site adapters (MediaWiki, Stack Exchange, arXiv, GitHub, MDN)', type: 'boolean' },
+    { key: 'debug', label: 'Debug logging', type: 'boolean' },
+  ];
+
+  // Effective settings for this page; mutated in place by SettingsStore.apply().
+  const Policies = { ...Defaults };
+
   const Log = {
     d: (...a) => Policies.debug && console.debug('[mdclip]', ...a),
     w: (...a) => console.warn('[mdclip]', ...a),
   };
 
+  const Store = {
+    get(key, def) {
+      try { if (typeof GM_getValue === 'function') return GM_getValue(key, def); }
+      catch (e) { Log.d('GM_getValue failed', e); }
+      return def;
+    },
+    set(key, value) {
+      try { if (typeof GM_setValue === 'function') { GM_setValue(key, value); return true; } }
+      catch (e) { Log.d('GM_setValue failed', e); }
+      return false;
+    },
+  };
+
+  class SettingsStore {
+    constructor() { this.data = this.validate(Store.get('settings', null)); }
+
+    // Drops unknown keys and values of the wrong type, so stored/imported JSON can't break Policies.
+    validateValues(values) {
+      const out = {};
+      if (!values || typeof values !== 'object') return out;
+      for (const f of SETTINGS_SCHEMA) {
+        if (!(f.key in values)) continue;
+        const v = values[f.key];
+        if (f.type === 'boolean' && typeof v === 'boolean') out[f.key] = v;
+        else if (f.type === 'number' && Number.isFinite(v) && v >= (f.min ?? -Infinity)) out[f.key] = v;
+        else if (f.type === 'select' && f.options.includes(v)) out[f.key] = v;
+        else if (f.type === 'text' && typeof v === 'string') out[f.key] = v.trim();
+      }
+      return out;
+    }
+
+    validate(data) {
+      const sites = {};
+      for (const [host, values] of Object.entries(data?.sites || {})) {
+        const v = this.validateValues(values);
+        if (Object.keys(v).length) sites[host.toLowerCase()] = v;
+      }
+      return { global: this.validateValues(data?.global), sites };
+    }
+
+    // scope: 'global' or a hostname
+    valuesFor(scope) {
+      const base = { ...Defaults, ...this.data.global };
+      return scope === 'global' ? base : { ...base, ...(this.data.sites[scope] || {}) };
+    }
+
+    // Stores only what differs from the layer below, so later default changes still reach the user.
+    setScope(scope, values) {
+      const below = scope === 'global' ? Defaults : this.valuesFor('global');
+      const diff = {};
+      for (const [k, v] of Object.entries(this.validateValues(values))) if (v !== below[k]) diff[k] = v;
+      if (scope === 'global') this.data.global = diff;
+      else if (Object.keys(diff).length) this.data.sites[scope] = diff;
+      else delete this.data.sites[scope];
+      this.save();
+    }
+
+    resetScope(scope) {
+      if (scope === 'global') this.data.global = {};
+      else delete this.data.sites[scope];
+      this.save();
+    }
+
+    save() {
+      Store.set('settings', this.data);
+      this.apply();
+    }
+
+    apply() {
+      Object.assign(Policies, this.valuesFor(location.hostname.toLowerCase()));
+      return Policies;
+    }
+
+    export() {
+      return JSON.stringify(this.data, null, 2);
+    }
+
+    import(json) {
+      this.data = this.validate(JSON.parse(json));
+      this.save();
+    }
+  }
+  const settings = new SettingsStore();
+  settings.apply();
+
+  // The page's own globals (e.g. its MathJax instance), not the userscript sandbox.
+  const pageWindow = typeof unsafeWindow !== 'undefined' ? unsafeWindow : window;
+
   function normalizeInvisibleUnicode(s) {
     return (s || '').replace(/[\u200B-\u200D\uFEFF]/g, '');
   }
@@ -59,22 +240,40 @@
   }
 
   class ToastService {
-    constructor() { this.el = null; this.timer = null; }
-    show(msg, ok = true) {
+    constructor() { this.el = null; this.timer = null; this.visible = false; }
+    // sticky: stays up until the next message replaces it (progress).
+    // actions: [{ label, run }] buttons; the toast then takes clicks and stays up longer.
+    show(msg, ok = true, { sticky = false, actions = [] } = {}) {
       if (!this.el) this.el = this._create();
-      this.el.textContent = msg;
+      const buttons = actions.map(a => h('button', { type: 'button', style: TOAST_BUTTON_CSS,
+        onclick: () => { this.hide(); a.run(); } }, a.label));
+      this.el.replaceChildren(msg, ...buttons);
+      this.el.setAttribute('aria-live', ok ? 'polite' : 'assertive');
+      this.el.style.pointerEvents = buttons.length ? 'auto' : 'none';
       this.el.style.opacity = '1';
       this.el.style.transform = 'translateY(0px)';
       this.el.dataset.state = ok ? 'ok' : 'fail';
+      this.visible = true;
       clearTimeout(this.timer);
-      this.timer = setTimeout(() => {
-        this.el.style.opacity = '0';
-        this.el.style.transform = 'translateY(6px)';
-      }, 900);
+      if (sticky) return;
+      this.timer = setTimeout(() => this.hide(), buttons.length ? 5000 : 900);
+    }
+    hide() {
+      clearTimeout(this.timer);
+      if (!this.el) return;
+      this.el.style.opacity = '0';
+      this.el.style.transform = 'translateY(6px)';
+      this.el.style.pointerEvents = 'none';
+      this.el.replaceChildren();
+      this.visible = false;
     }
     _create() {
       const n = document.createElement('div');
       n.id = '__mdclip_toast';
+      n.setAttribute('role', 'status');
+      n.setAttribute('aria-atomic', 'true');
+      // Escape dismisses; the key still reaches the page.
+      document.addEventListener('keydown', (e) => { if (e.key === 'Escape' && this.visible) this.hide(); }, true);
       n.style.cssText = [
         'position:fixed','right:16px','bottom:16px',
         'z-index:2147483647','pointer-events:none',
@@ -92,27 +291,389 @@
   }
   const toast = new ToastService();
 
+  const TOAST_BUTTON_CSS = 'margin-left:8px;padding:1px 7px;font:inherit;color:inherit;cursor:pointer;' +
+    'background:transparent;border:1px solid rgba(255,255,255,0.55);border-radius:5px';
+
+  function h(tag, attrs = {}, ...children) {
+    const n = document.createElement(tag);
+    for (const [k, v] of Object.entries(attrs)) {
+      if (k.startsWith('on')) n.addEventListener(k.slice(2), v);
+      else if (v === true) n.setAttribute(k, '');
+      else if (v !== false && v != null) n.setAttribute(k, String(v));
+    }
+    for (const c of children.flat()) if (c != null) n.append(c);
+    return n;
+  }
+
+  const PANEL_CSS = `
+    :host { all: initial; }
+    .panel { position: fixed; right: 16px; top: 16px; z-index: 2147483647; width: 340px; max-height: 80vh;
+      overflow: auto; padding: 12px 14px; border-radius: 10px; box-sizing: border-box;
+      font: 12px/1.4 system-ui, -apple-system, Segoe UI, Roboto, sans-serif;
+      background: rgba(20,20,20,0.96); color: white; box-shadow: 0 6px 18px rgba(0,0,0,0.25); }
+    h2 { font-size: 13px; margin: 0 0 8px; }
+    label { display: flex; align-items: center; justify-content: space-between; gap: 8px; margin: 4px 0; }
+    input[type=number], input[type=text], select { width: 110px; }
+    input, select, textarea, button { font: inherit; color: inherit; background: #2a2a2a; border: 1px solid #555; border-radius: 5px; }
+    textarea { width: 100%; height: 90px; box-sizing: border-box; margin-top: 6px; font-family: ui-monospace, monospace; }
+    .row { display: flex; flex-wrap: wrap; gap: 6px; margin-top: 8px; }
+    button { padding: 3px 8px; cursor: pointer; }
+    button:hover { background: #3a3a3a; }
+    ul { list-style: none; margin: 0; padding: 0; }
+    li { border-top: 1px solid #444; padding: 6px 0; }
+    li label { justify-content: flex-start; margin: 0; }
+    .muted { opacity: 0.7; }
+    .preview { margin: 4px 0; white-space: pre-wrap; word-break: break-word; font-family: ui-monospace, monospace; }
+    .panel.wide { width: min(560px, calc(100vw - 32px)); }
+    textarea.editor { height: 260px; white-space: pre; }
+  `;
+
+  // Dialog rendered in a closed shadow root so page CSS/scripts can't reach it; subclasses implement render().
+  class ShadowPanel {
+    constructor(id) { this.id = id; this.host = null; this.root = null; }
+
+    open() {
+      this.close();
+      this.host = h('div', { id: this.id });
+      this.root = this.host.attachShadow({ mode: 'closed' });
+      document.documentElement.appendChild(this.host);
+      this.render();
+    }
+
+    close() {
+      this.host?.remove();
+      this.host = this.root = null;
+    }
+
+    mount(title, ...children) {
+      const panel = h('div', { class: 'panel', role: 'dialog', 'aria-label': title, tabindex: '-1',
+        onkeydown: (e) => { if (e.key === 'Escape') this.close(); } },
+        h('h2', {}, title), ...children);
+      this.root.replaceChildren(h('style', {}, PANEL_CSS), panel);
+      panel.focus();
+    }
+  }
+
+  class SettingsPanel extends ShadowPanel {
+    constructor() { super('__mdclip_settings'); this.scope = 'global'; }
+
+    render() {
+      const host = location.hostname.toLowerCase();
+      const values = settings.valuesFor(this.scope);
+      const fields = SETTINGS_SCHEMA.map((f) => {
+        let input;
+        if (f.type === 'boolean') input = h('input', { type: 'checkbox', name: f.key, checked: !!values[f.key] });
+        else if (f.type === 'number') input = h('input', { type: 'number', name: f.key, min: f.min, value: values[f.key] });
+        else if (f.type === 'text') input = h('input', { type: 'text', name: f.key, value: values[f.key], spellcheck: 'false' });
+        else input = h('select', { name: f.key }, f.options.map(o => h('option', { value: o, selected: o === values[f.key] }, o)));
+        return h('label', {}, f.label, input);
+      });
+      const form = h('form', { onsubmit: (e) => { e.preventDefault(); this.save(form); } }, fields);
+      const io = h('textarea', { placeholder: 'Settings JSON', spellcheck: 'false' });
+
+      this.mount('Markdown copy settings',
+        h('label', {}, 'Apply to',
+          h('select', { onchange: (e) => { this.scope = e.target.value; this.render(); } },
+            h('option', { value: 'global', selected: this.scope === 'global' }, 'All sites'),
+            h('option', { value: host, selected: this.scope === host }, host))),
+        form,
+        h('div', { class: 'row' },
+          h('button', { type: 'button', onclick: () => this.save(form) }, 'Save'),
+          h('button', { type: 'button', onclick: () => { settings.resetScope(this.scope); this.render(); toast.show('Settings reset', true); } }, 'Reset'),
+          h('button', { type: 'button', onclick: () => this.close() }, 'Close')),
+        io,
+        h('div', { class: 'row' },
+          h('button', { type: 'button', onclick: () => { io.value = settings.export(); io.select(); } }, 'Export'),
+          h('button', { type: 'button', onclick: () => this.importFrom(io) }, 'Import')));
+    }
+
+    save(form) {
+      const values = {};
+      for (const f of SETTINGS_SCHEMA) {
+        const input = form.elements[f.key];
+        if (f.type === 'boolean') values[f.key] = input.checked;
+        else if (f.type === 'number') values[f.key] = Number(input.value);
+        else values[f.key] = input.value;
+      }
+      settings.setScope(this.scope, values);
+      toast.show('Settings saved', true);
+    }
+
+    importFrom(io) {
+      try {
+        settings.import(io.value);
+        this.render();
+        toast.show('Settings imported', true);
+      } catch (e) {
+        Log.w('Settings import failed', e);
+        toast.show('Import failed: invalid JSON', false);
+      }
+    }
+  }
+  const settingsPanel = new SettingsPanel();
+
+  function formatChars(n) {
+    return n < 1000 ? `${n} chars` : `${(n / 1000).toFixed(1)}k chars`;
+  }
+
+  // Last N conversions, newest first.
+  class HistoryStore {
+    list() {
+      const entries = Store.get('history', []);
+      return Array.isArray(entries) ? entries.filter(e => e && typeof e.md === 'string') : [];
+    }
+
+    add(md, info) {
+      if (Policies.historySize <= 0) return;
+      const entry = {
+        id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+        at: Date.now(),
+        title: info?.title || document.title || location.hostname,
+        url: info?.url || location.href,
+        md,
+      };
+      Store.set('history', [entry, ...this.list()].slice(0, Policies.historySize));
+    }
+
+    remove(id) {
+      Store.set('history', this.list().filter(e => e.id !== id));
+    }
+
+    clear() {
+      Store.set('history', []);
+    }
+  }
+  const copyHistory = new HistoryStore();
+
+  // Passages collected in accumulation mode; persisted so collecting can span pages.
+  class AccumulationBuffer {
+    parts() {
+      const parts = Store.get('buffer', []);
+      return Array.isArray(parts) ? parts.filter(p => typeof p === 'string') : [];
+    }
+
+    append(md) {
+      Store.set('buffer', [...this.parts(), md.trim()]);
+      return this.text();
+    }
+
+    // Takes the last passage back out; returns it, or null when the buffer is empty.
+    pop() {
+      const parts = this.parts();
+      const last = parts.pop();
+      Store.set('buffer', parts);
+      return last ?? null;
+    }
+
+    text() {
+      return joinPassages(this.parts());
+    }
+
+    size() {
+      return { count: this.parts().length, chars: this.text().length };
+    }
+
+    clear() {
+      Store.set('buffer', []);
+    }
+  }
+  const buffer = new AccumulationBuffer();
+
+  // Every conversion numbers its footnotes from 1, so passages joined into one document would repeat labels:
+  // from the second passage on, the labels it defines get a p<n>- prefix ([^p2-1], [fn:p2-1], footnote:p2-ref1[).
+  function joinPassages(parts) {
+    const sep = Policies.accumulateSeparator ? `\n\n${Policies.accumulateSeparator}\n\n` : '\n\n';
+    return parts.length ? parts.map((p, i) => (i ? scopeFootnotes(p.trim(), `p${i + 1}-`) : p.trim())).join(sep) + '\n' : '';
+  }
+
+  function scopeFootnotes(md, prefix) {
+    const rename = (text, defRe, refRe, to) => {
+      const labels = new Set(Array.from(text.matchAll(defRe), m => m[1]));
+      return labels.size ? text.replace(refRe, (m, label) => (labels.has(label) ? to(label) : m)) : text;
+    };
+    let out = rename(md, /^\[\^([^\]\s]+)\]:/gm, /\[\^([^\]\s]+)\]/g, l => `[^${prefix}${l}]`);
+    out = rename(out, /^\[fn:([^\]\s]+)\] /gm, /\[fn:([^\]\s]+)\]/g, l => `[fn:${prefix}${l}]`);
+    // AsciiDoc notes are inline: the first footnote:id[text] defines the id, later footnote:id[] repeat it.
+    return rename(out, /footnote:([\w-]+)\[(?!\])/g, /footnote:([\w-]+)\[/g, l => `footnote:${prefix}${l}[`);
+  }
+
+  class HistoryPanel extends ShadowPanel {
+    constructor() { super('__mdclip_history'); }
+
+    render() {
+      const entries = copyHistory.list();
+      const size = buffer.size();
+      const items = entries.map(e => h('li', {},
+        h('label', {}, h('input', { type: 'checkbox', value: e.id }),
+          h('span', {}, e.title, ' ', h('span', { class: 'muted' }, new Date(e.at).toLocaleString()))),
+        h('div', { class: 'preview muted' }, e.md.length > 160 ? e.md.slice(0, 160) + '…' : e.md),
+        h('div', { class: 'row' },
+          h('button', { type: 'button', onclick: () => engine.deliver(e.md) }, 'Copy'),
+          h('button', { type: 'button', onclick: () => { copyHistory.remove(e.id); this.render(); } }, 'Delete'))));
+      const list = h('ul', {}, items.length ? items : h('li', { class: 'muted' }, 'No conversions yet'));
+
+      this.mount('Copy history',
+        h('div', { class: 'row' },
+          h('label', {}, h('input', { type: 'checkbox', checked: Policies.accumulate,
+            onchange: (e) => { toggleAccumulation(e.target.checked); this.render(); } }), 'Accumulate'),
+          h('span', { class: 'muted' }, `Buffer: ${size.count} passages, ${formatChars(size.chars)}`)),
+        h('div', { class: 'row' },
+          h('button', { type: 'button', disabled: !size.count, onclick: () => engine.deliver(buffer.text()) }, 'Copy buffer'),
+          h('button', { type: 'button', disabled: !size.count, onclick: () => { buffer.clear(); this.render(); } }, 'Clear buffer')),
+        list,
+        h('div', { class: 'row' },
+          h('button', { type: 'button', onclick: () => this.mergeSelected(list, entries) }, 'Merge selected'),
+          h('button', { type: 'button', onclick: () => { copyHistory.clear(); this.render(); } }, 'Clear history'),
+          h('button', { type: 'button', onclick: () => this.close() }, 'Close')));
+    }
+
+    // Oldest first, the order the passages were read in.
+    mergeSelected(list, entries) {
+      const ids = new Set(Array.from(list.querySelectorAll('input:checked'), i => i.value));
+      const parts = entries.filter(e => ids.has(e.id)).reverse().map(e => e.md);
+      if (!parts.length) { toast.show('Nothing selected', false); return; }
+      engine.deliver(joinPassages(parts));
+    }
+  }
+  const historyPanel = new HistoryPanel();
+
+  // Options the preview can flip for one conversion without saving them
+  const PREVIEW_TOGGLES = [
+    { key: 'sourceHeader', label: 'Frontmatter', on: 'frontmatter', off: 'none' },
+    { key: 'tightLists', label: 'Tight lists', on: true, off: false },
+    { key: 'wikipediaCitationsAsFootnotes', label: 'Citations as footnotes', on: true, off: false },
+  ];
+
+  // Edit-before-copy: the converted text in a textarea, re-run with toggled options, then copied on request.
+  // result: { md, html, source, formulas, rerender(overrides) -> { md, source } } from Engine.
+  class PreviewPanel extends ShadowPanel {
+    constructor() { super('__mdclip_preview'); this.result = null; this.overrides = {}; }
+
+    show(result) {
+      this.result = result;
+      this.overrides = {};
+      this.open();
+    }
+
+    render() {
+      const r = this.result;
+      const editor = h('textarea', { class: 'editor', spellcheck: 'false', 'aria-label': `${currentDialect().name} to copy`,
+        onkeydown: (e) => {
+          if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) { e.preventDefault(); this.commit(editor.value); }
+        } });
+      editor.value = r.md;
+      const toggles = PREVIEW_TOGGLES.map((t) => {
+        const value = t.key in this.overrides ? this.overrides[t.key] : Policies[t.key];
+        return h('label', {}, h('input', { type: 'checkbox', checked: value === t.on,
+          onchange: (e) => this.rerun(t.key, e.target.checked ? t.on : t.off) }), t.label);
+      });
+      const formulas = `${r.formulas} formula${r.formulas === 1 ? '' : 's'}`;
+
+      this.mount('Copy preview',
+        h('div', { class: 'muted' }, `${currentDialect().name}, ${formatChars(r.md.length)}, ${formulas}`),
+        editor,
+        h('div', { class: 'row' }, toggles),
+        h('div', { class: 'row' },
+          h('button', { type: 'button', onclick: () => this.commit(editor.value) }, 'Copy'),
+          h('button', { type: 'button', onclick: () => this.close() }, 'Cancel'),
+          h('span', { class: 'muted' }, 'Ctrl+Enter copies, Esc cancels')));
+      this.root.querySelector('.panel').classList.add('wide');
+      editor.focus();
+    }
+
+    // Re-converts from the captured selection; edits made so far are replaced.
+    async rerun(key, value) {
+      this.overrides = { ...this.overrides, [key]: value };
+      try {
+        const { md, source } = await this.result.rerender(this.overrides);
+        this.result = { ...this.result, md, source };
+      } catch (e) {
+        Log.w('Preview re-run failed', e);
+        toast.show('Re-run failed', false);
+      }
+      if (this.host) this.render();
+    }
+
+    // Hand-edited text no longer matches the HTML flavor, so that is only kept for untouched output.
+    commit(md) {
+      const r = this.result;
+      engine.commit(md, md === r.md ? r.html : '', r.source);
+      this.close();
+    }
+  }
+  const previewPanel = new PreviewPanel();
+
+  function toggleAccumulation(on = !Policies.accumulate) {
+    settings.setScope('global', { ...settings.valuesFor('global'), accumulate: on });
+    toast.show(on ? 'Accumulation on' : 'Accumulation off', true);
+  }
+
+  // Every write reports the MIME types that actually landed: { started, flavors } or { started, promise -> flavors }.
   class ClipboardService {
-    writeNow(text) {
-      if (Policies.preferGMSetClipboardSync) {
+    // The GM clipboard APIs hold one flavor per write, so the HTML flavor needs ClipboardItem. With
+    // preferGMSetClipboardSync the text is written through GM_setClipboard first (while the user gesture still
+    // counts) and ClipboardItem only adds the HTML; otherwise a failed or missing ClipboardItem falls back to GM.
+    writeNow(text, html = '') {
+      if (!html || !Policies.clipboardHtml || !this.canWriteItems()) return this.writePlain(text);
+      const early = Policies.preferGMSetClipboardSync && this.writeGMSync(text);
+      const fallback = () => {
+        if (early) return ['text/plain'];
+        const plain = this.writePlain(text);
+        return plain.flavors || plain.promise || [];
+      };
+      const promise = this.writeItems(text, html)
+        .catch((e) => { Log.d('clipboard.write failed', e); return []; })
+        .then((flavors) => (flavors.length ? flavors : fallback()));
+      return { started: true, promise };
+    }
+
+    canWriteItems() {
+      return typeof ClipboardItem === 'function' && typeof navigator.clipboard?.write === 'function';
+    }
+
+    async writeItems(text, html) {
+      const items = {
+        'text/plain': new Blob([text], { type: 'text/plain' }),
+        'text/html': new Blob([html], { type: 'text/html' }),
+      };
+      // Only ClipboardItem.supports() (Chromium) can tell whether a markdown flavor is accepted;
+      // 'web text/markdown' is Chromium's custom-format spelling.
+      const mdType = Policies.clipboardMarkdownMime && currentDialect().markdown
+        ? ['text/markdown', 'web text/markdown'].find(t => ClipboardItem.supports?.(t))
+        : null;
+      if (mdType) {
         try {
-          if (typeof GM_setClipboard === 'function') {
-            GM_setClipboard(text, { type: 'text', mimetype: 'text/plain' });
-            return { started: true, immediateOk: true };
-          }
-        } catch (e) { Log.d('GM_setClipboard failed', e); }
+          await navigator.clipboard.write([new ClipboardItem({ ...items, [mdType]: new Blob([text], { type: 'text/markdown' }) })]);
+          return [...Object.keys(items), 'text/markdown'];
+        } catch (e) { Log.d('markdown flavor rejected; retrying without it', e); }
       }
+      await navigator.clipboard.write([new ClipboardItem(items)]);
+      return Object.keys(items);
+    }
+
+    // True once GM_setClipboard took the text
+    writeGMSync(text) {
+      try {
+        if (typeof GM_setClipboard !== 'function') return false;
+        GM_setClipboard(text, { type: 'text', mimetype: 'text/plain' });
+        return true;
+      } catch (e) { Log.d('GM_setClipboard failed', e); return false; }
+    }
+
+    writePlain(text) {
+      const plain = ['text/plain'];
+      if (Policies.preferGMSetClipboardSync && this.writeGMSync(text)) return { started: true, flavors: plain };
       try {
         if (typeof GM !== 'undefined' && typeof GM.setClipboard === 'function') {
           const p = Promise.resolve(GM.setClipboard(text, { type: 'text', mimetype: 'text/plain' }))
-            .then(() => true).catch(() => false);
+            .then(() => plain).catch(() => []);
           return { started: true, promise: p };
         }
       } catch (e) { Log.d('GM.setClipboard failed', e); }
 
       try {
         if (navigator.clipboard?.writeText) {
-          const p = navigator.clipboard.writeText(text).then(() => true).catch(() => false);
+          const p = navigator.clipboard.writeText(text).then(() => plain).catch(() => []);
           return { started: true, promise: p };
         }
       } catch (e) { Log.d('navigator.clipboard failed', e); }
@@ -120,55 +681,406 @@
       return { started: false };
     }
   }
+
+  const FLAVOR_LABELS = { 'text/html': 'HTML', 'text/markdown': 'text/markdown' };
+
+  function copiedMessage(flavors) {
+    const extra = flavors.filter(f => FLAVOR_LABELS[f]).map(f => FLAVOR_LABELS[f]);
+    return [`Copied ${currentDialect().name}`, ...extra].join(' + ');
+  }
   const clipboard = new ClipboardService();
 
-  class SelectionCapture {
-    getPrimaryRange() {
-      const sel = window.getSelection();
-      if (!sel || sel.rangeCount === 0 || sel.isCollapsed) return null;
+  // MathJax v2 markup: rendered frame, optional display wrapper, preview span before, TeX <script> after.
+  const MJ2_FRAME_SELECTOR = '.MathJax, .MathJax_SVG, .MathJax_CHTML';
+  const MJ2_DISPLAY_SELECTOR = '.MathJax_Display, .MathJax_SVG_Display, .MJXc-display';
+
+  const MATH_COMPANION_SELECTOR = '.mwe-math-mathml-a11y, .mwe-math-fallback-image-inline, .mwe-math-fallback-image-display, ' +
+    '.MathJax_Preview, script[type^="math/tex"]';
+  const MATH_CONTAINER_SELECTOR = '.mwe-math-element, mjx-container, math, .katex, .katex-display, ' +
+    MJ2_FRAME_SELECTOR + ', ' + MJ2_DISPLAY_SELECTOR + ', ' + MATH_COMPANION_SELECTOR;
+
+  function outermostMathContainer(node) {
+    let el = node?.nodeType === 1 ? node : node?.parentElement;
+    let found = null;
+    while (el) {
+      const m = el.closest(MATH_CONTAINER_SELECTOR);
+      if (!m) break;
+      found = m;
+      el = m.parentElement;
+    }
+    return found;
+  }
+
+  // Flat (rendered) tree: a host shows its shadow root, a slot its assigned nodes (or its fallback content).
+  function isShadowRoot(node) {
+    return node?.nodeType === Node.DOCUMENT_FRAGMENT_NODE && !!node.host;
+  }
+
+  function flatParent(node) {
+    if (node.assignedSlot) return node.assignedSlot;
+    const p = node.parentNode;
+    return isShadowRoot(p) ? p.host : p;
+  }
+
+  function flatChildren(node) {
+    if (node.shadowRoot) return Array.from(node.shadowRoot.childNodes);
+    if (node.nodeName.toLowerCase() === 'slot' && typeof node.assignedNodes === 'function') {
+      const assigned = node.assignedNodes();
+      if (assigned.length) return assigned;
+    }
+    return Array.from(node.childNodes);
+  }
+
+  function flatCommonAncestor(a, b) {
+    const seen = new Set();
+    for (let n = a; n; n = flatParent(n)) seen.add(n);
+    for (let n = b; n; n = flatParent(n)) if (seen.has(n)) return n;
+    return null;
+  }
+
+  const SHADOW_SCAN_LIMIT = 5000;
+
+  // Open shadow roots the selection can reach: the ones its ends already sit in, and any below them
+  // (Chromium reports a selection inside a shadow tree at the host unless getComposedRanges is told the root).
+  function openShadowRoots(sel) {
+    const roots = new Set();
+    let budget = SHADOW_SCAN_LIMIT;
+    const scan = (root) => {
+      const walker = (root.ownerDocument || root).createTreeWalker(root, NodeFilter.SHOW_ELEMENT);
+      for (let el = walker.currentNode; el && budget-- > 0; el = walker.nextNode()) {
+        if (el.shadowRoot && !roots.has(el.shadowRoot)) {
+          roots.add(el.shadowRoot);
+          scan(el.shadowRoot);
+        }
+      }
+    };
+    for (const node of [sel.anchorNode, sel.focusNode]) {
+      if (!node) continue;
+      for (let r = node.getRootNode(); isShadowRoot(r); r = r.host.getRootNode()) roots.add(r);
+      const el = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+      if (el) scan(el);
+    }
+    return Array.from(roots);
+  }
+
+  // Range-like boundaries that may sit in different trees (light DOM, shadow roots, slotted content).
+  // cloneContents() walks the flat tree, so the clone reads the way the page renders.
+  class ComposedRange {
+    constructor(sr) {
+      this.startContainer = sr.startContainer;
+      this.startOffset = sr.startOffset;
+      this.endContainer = sr.endContainer;
+      this.endOffset = sr.endOffset;
+      this.collapsed = sr.startContainer === sr.endContainer && sr.startOffset === sr.endOffset;
+      this.commonAncestorContainer = flatCommonAncestor(sr.startContainer, sr.endContainer);
+      this.composed = true;
+      this.included = new Set();
+    }
+
+    cloneContents() {
+      const doc = this.startContainer.ownerDocument;
+      const frag = doc.createDocumentFragment();
+      const isText = n => n.nodeType === Node.TEXT_NODE;
+      const startBefore = isText(this.startContainer) ? null : this.startContainer.childNodes[this.startOffset] || null;
+      const endBefore = isText(this.endContainer) ? null : this.endContainer.childNodes[this.endOffset] || null;
+      let state = 'before';
+      this.included = new Set();
+
+      const visit = (node, out) => {
+        if (state === 'after') return;
+        if (node === endBefore) { state = 'after'; return; }
+        if (node === startBefore) state = 'inside';
+
+        if (isText(node)) {
+          if (node === this.startContainer) state = 'inside';
+          if (state === 'inside') {
+            const from = node === this.startContainer ? this.startOffset : 0;
+            const to = node === this.endContainer ? this.endOffset : node.nodeValue.length;
+            const text = node.nodeValue.slice(from, to);
+            if (text) { out.appendChild(doc.createTextNode(text)); this.included.add(node); }
+          }
+          if (node === this.endContainer) state = 'after';
+          return;
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+        const whole = state === 'inside';
+        // Slots are transparent; the host keeps its tag so the sanitizer can unwrap it like any unknown element.
+        const clone = node.nodeName.toLowerCase() === 'slot' ? doc.createDocumentFragment() : node.cloneNode(false);
+        for (const child of flatChildren(node)) visit(child, clone);
+        // A boundary offset past the last child sits at the end of its container
+        if (node === this.startContainer && !startBefore) state = 'inside';
+        if (node === this.endContainer && !endBefore) state = 'after';
+        if (whole || clone.childNodes.length) out.appendChild(clone);
+        if (whole && state !== 'after') this.included.add(node);
+      };
+
+      const root = this.commonAncestorContainer;
+      if (!root) return frag;
+      if (isText(root)) visit(root, frag);
+      else for (const child of flatChildren(root)) visit(child, frag);
+      return frag;
+    }
+
+    intersectsNode(node) {
+      for (const n of this.included) if (n === node || node.contains(n)) return true;
+      return false;
+    }
+
+    cloneRange() { return this; }
+  }
 
+  const CONTEXT_TAGS = /^(pre|code|ul|ol|li|blockquote|h[1-6]|table|thead|tbody|tfoot|tr)$/;
+  const TABLE_PARTS = /^(table|thead|tbody|tfoot|tr)$/;
+
+  class SelectionCapture {
+    // Every range of the selection (Firefox allows several), in document order. Ranges reaching into open
+    // shadow roots come back as ComposedRange; `view` is the window (top page or same-origin frame) selected in.
+    getRanges(view = window) {
+      const sel = view.getSelection();
+      if (!sel || sel.rangeCount === 0) return [];
+      const doc = view.document;
+      const roots = openShadowRoots(sel);
+
+      let ranges = [];
       try {
         if (typeof sel.getComposedRanges === 'function') {
-          const ranges = sel.getComposedRanges();
-          if (ranges && ranges.length) {
-            const sr = ranges[0];
-            const r = document.createRange();
-            r.setStart(sr.startContainer, sr.startOffset);
-            r.setEnd(sr.endContainer, sr.endOffset);
-            return r;
-          }
+          ranges = Array.from(this.composedRanges(sel, roots) || [], sr => this.toRange(sr, doc, roots));
+        }
+      } catch { ranges = []; }
+
+      // Chromium without getComposedRanges: each shadow root keeps its own selection
+      if (!ranges.some(r => !r.collapsed)) {
+        for (const root of roots) {
+          const inner = typeof root.getSelection === 'function' ? root.getSelection() : null;
+          if (inner?.rangeCount && !inner.isCollapsed) ranges = [this.toRange(inner.getRangeAt(0), doc, roots)];
+        }
+      }
+
+      // getComposedRanges() may only report the first range of a multi-range selection
+      if (!sel.isCollapsed && ranges.length < sel.rangeCount) {
+        ranges = [];
+        for (let i = 0; i < sel.rangeCount; i++) {
+          try { ranges.push(sel.getRangeAt(i)); } catch {}
         }
-      } catch {}
+      }
+
+      return ranges
+        .filter(r => !r.collapsed)
+        .map(r => this.snapToMath(r))
+        .sort((a, b) => {
+          try { return a.compareBoundaryPoints(Range.START_TO_START, b); } catch { return 0; }
+        });
+    }
+
+    composedRanges(sel, roots) {
+      if (!roots.length) return sel.getComposedRanges();
+      try { return sel.getComposedRanges({ shadowRoots: roots }); } catch (e) {
+        // Chromium 137 and earlier take the roots as arguments
+        Log.d('getComposedRanges({ shadowRoots }) rejected, retrying positionally', e);
+        return sel.getComposedRanges(...roots);
+      }
+    }
+
+    // A live Range when both boundaries share a tree with no shadow host in between, else a ComposedRange.
+    toRange(sr, doc, roots) {
+      if (sr.startContainer.getRootNode() === sr.endContainer.getRootNode()) {
+        const r = doc.createRange();
+        r.setStart(sr.startContainer, sr.startOffset);
+        r.setEnd(sr.endContainer, sr.endOffset);
+        if (!roots.some(root => r.intersectsNode(root.host))) return r;
+      }
+      return new ComposedRange(sr);
+    }
+
+    // A boundary inside a formula would clone half a MathML tree: widen the range to the whole element
+    // (and the a11y MathML / fallback image MediaWiki renders next to it). Never mutates the live selection.
+    snapToMath(range) {
+      if (range.composed) return range;
+      const startMath = outermostMathContainer(range.startContainer);
+      const endMath = outermostMathContainer(range.endContainer);
+      if (!startMath && !endMath) return range;
+
+      const r = range.cloneRange();
+      if (startMath) {
+        let first = startMath;
+        while (first.previousElementSibling?.matches(MATH_COMPANION_SELECTOR)) first = first.previousElementSibling;
+        r.setStartBefore(first);
+      }
+      if (endMath) {
+        let last = endMath;
+        while (last.nextElementSibling?.matches(MATH_COMPANION_SELECTOR)) last = last.nextElementSibling;
+        r.setEndAfter(last);
+      }
+      Log.d('snapped selection to math', startMath, endMath);
+      return r;
+    }
+
+    // Firefox table-cell selections produce one range per cell, each spanning exactly one <td>/<th>.
+    selectedCell(range) {
+      if (range.startContainer !== range.endContainer || range.endOffset - range.startOffset !== 1) return null;
+      const n = range.startContainer.childNodes[range.startOffset];
+      return n?.nodeType === 1 && /^(td|th)$/i.test(n.nodeName) ? n : null;
+    }
 
-      try { return sel.getRangeAt(0); } catch { return null; }
+    // One container per range; consecutive cell ranges are merged into a single rebuilt table.
+    cloneFragments(ranges) {
+      const out = [];
+      let cells = [];
+      const flush = () => {
+        if (cells.length) out.push(this.cloneCells(cells));
+        cells = [];
+      };
+      for (const range of ranges) {
+        const cell = this.selectedCell(range);
+        if (cell) { cells.push(cell); continue; }
+        flush();
+        out.push(this.cloneFragment(range));
+      }
+      flush();
+      return out;
     }
 
     cloneFragment(range) {
-      const frag = range.cloneContents();
+      const frag = this.wrapInContext(range.cloneContents(), range);
       const div = document.createElement('div');
       div.appendChild(frag);
+      this.annotateMathJax(range, div);
+      return div;
+    }
+
+    // MathJax v3 SVG (or CHTML without assistive MathML) output has no TeX in the DOM; the page's MathJax
+    // document still knows each item's source, so copy it onto the clones as data-latex.
+    annotateMathJax(range, clone) {
+      const clones = clone.querySelectorAll('mjx-container');
+      if (!clones.length) return;
+      const root = range.commonAncestorContainer;
+      const scope = root?.nodeType === 1 || isShadowRoot(root) ? root : root?.parentElement;
+      if (!scope) return;
+      const live = Array.from(scope.querySelectorAll('mjx-container')).filter(c => range.intersectsNode(c));
+      if (live.length !== clones.length) return;
+
+      const view = scope.ownerDocument.defaultView;
+      const items = mathJaxItems(view === window ? pageWindow : view);
+      live.forEach((c, i) => {
+        const item = items.get(c);
+        if (!item || clones[i].hasAttribute('data-latex')) return;
+        clones[i].setAttribute('data-latex', item.tex);
+        if (item.display) clones[i].setAttribute('display', 'true');
+      });
+    }
+
+    // Re-create the ancestors the rules depend on (fence + language, list depth, quote, heading, table),
+    // which cloneContents() drops whenever the selection starts and ends inside them.
+    wrapInContext(frag, range) {
+      const start = range.commonAncestorContainer;
+      const doc = start.ownerDocument || document;
+      let el = start;
+      let inner = frag;
+      let inCell = false;
+
+      // Up the flat tree, so a selection inside a shadow root still sees the list or table around its host
+      for (; el && el !== doc.body && el !== doc.documentElement; el = flatParent(el)) {
+        if (el.nodeType !== Node.ELEMENT_NODE) continue;
+        const nn = el.nodeName.toLowerCase();
+        if (nn === 'td' || nn === 'th') { inCell = true; continue; }
+        if (!CONTEXT_TAGS.test(nn)) continue;
+        // Text inside a single cell is plain content; only rebuild tables when the selection spans cells.
+        if (TABLE_PARTS.test(nn) && inCell) continue;
+
+        const wrap = el.cloneNode(false);
+        if (nn === 'pre' && !wrap.hasAttribute('data-lang')) {
+          // The wrapper that names the language (div.highlight-source-x, div.language-x) is not part of the clone.
+          const lang = detectCodeLanguage(el.querySelector('code') || el, el);
+          if (lang) wrap.setAttribute('data-lang', lang);
+        }
+        if (nn === 'ol') {
+          const items = Array.from(el.children).filter(c => c.nodeName.toLowerCase() === 'li');
+          const idx = items.findIndex(li => li.contains(range.startContainer));
+          if (idx > 0) wrap.setAttribute('start', String((parseInt(el.getAttribute('start'), 10) || 1) + idx));
+        }
+        wrap.appendChild(inner);
+
+        if (nn === 'table') {
+          // Keep the header row so the rebuilt table still has one (GFM needs it).
+          const head = el.tHead?.rows[0] || (Array.from(el.rows[0]?.cells || []).every(c => c.nodeName === 'TH') ? el.rows[0] : null);
+          if (head && !range.intersectsNode(head)) {
+            const thead = document.createElement('thead');
+            thead.appendChild(head.cloneNode(true));
+            wrap.insertBefore(thead, wrap.firstChild);
+          }
+        }
+        inner = wrap;
+      }
+      return inner;
+    }
+
+    // Rebuild selected cells as a rectangular table whose first row is the header, so GFM can render it.
+    cloneCells(cells) {
+      const rows = new Map();
+      for (const c of cells) {
+        const tr = c.parentElement;
+        if (!rows.has(tr)) rows.set(tr, []);
+        rows.get(tr).push(c);
+      }
+      const width = Math.max(...Array.from(rows.values(), r => r.length));
+
+      const table = document.createElement('table');
+      const thead = table.appendChild(document.createElement('thead'));
+      const tbody = table.appendChild(document.createElement('tbody'));
+      let first = true;
+      for (const rowCells of rows.values()) {
+        const tr = document.createElement('tr');
+        for (let i = 0; i < width; i++) {
+          const cell = document.createElement(first ? 'th' : 'td');
+          if (rowCells[i]) for (const ch of rowCells[i].childNodes) cell.appendChild(ch.cloneNode(true));
+          tr.appendChild(cell);
+        }
+        (first ? thead : tbody).appendChild(tr);
+        first = false;
+      }
+
+      const div = document.createElement('div');
+      div.appendChild(table);
       return div;
     }
   }
   const capture = new SelectionCapture();
 
+  // Marker for TeX source found outside a typeset formula; the MathJax2Source rule converts it.
+  function texSourceSpan(latex, display) {
+    const span = document.createElement('span');
+    span.className = 'mdclip-tex';
+    span.setAttribute('data-latex', latex);
+    if (display) span.setAttribute('data-display', 'true');
+    return span;
+  }
+
   class DOMSanitizer {
-    sanitize(container) {
+    // `doc` is the page the container was cloned from; its site adapters clean up first.
+    sanitize(container, doc = document) {
+      for (const adapter of adaptersFor(doc)) adapter.preClean?.(container, doc);
+
+      // MathJax v2 keeps the TeX source in <script type="math/tex">; keep it as data before scripts go.
+      container.querySelectorAll('script[type^="math/tex"]').forEach((sc) => {
+        sc.replaceWith(texSourceSpan(sc.textContent || '', /mode\s*=\s*display/.test(sc.getAttribute('type'))));
+      });
       container.querySelectorAll('script, style, noscript, textarea').forEach(n => n.remove());
 
       if (Policies.sanitizeWithDOMPurify && window.DOMPurify) {
         // Preserve MathML/SVG/HTML; also keep MediaWiki-relevant attrs.
         // ADD_ATTR matters: some setups otherwise drop typeof/alttext/aria-label which are used for TeX extraction.
-        const cleanFrag = window.DOMPurify.sanitize(container, {
-          RETURN_DOM_FRAGMENT: true,
+        // IN_PLACE: no copy of the whole selection into a fresh document and back
+        window.DOMPurify.sanitize(container, {
+          IN_PLACE: true,
           USE_PROFILES: { html: true, mathMl: true, svg: true, svgFilters: true },
+          // <semantics>/<annotation> carry KaTeX's (and MediaWiki's) original TeX; mjx-* are MathJax v3 output.
+          ADD_TAGS: ['semantics', 'annotation'],
+          CUSTOM_ELEMENT_HANDLING: { tagNameCheck: /^mjx-/, attributeNameCheck: /^jax$/ },
           ADD_ATTR: ['class', 'id', 'href', 'src', 'alt', 'aria-label', 'typeof', 'alttext', 'data-latex', 'display'],
           FORBID_TAGS: ['script', 'style', 'iframe', 'object', 'embed', 'link', 'meta', 'base'],
           FORBID_ATTR: ['style', 'onload', 'onerror', 'onclick', 'onmouseover', 'onmouseenter', 'onmouseleave']
         });
-
-        container.innerHTML = '';
-        container.appendChild(cleanFrag);
       }
 
       const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT);
@@ -181,15 +1093,97 @@
   }
   const sanitizer = new DOMSanitizer();
 
+  // Canonical names for the highlighters Obsidian/GitHub use; '' means "no language".
+  const CODE_LANG_ALIASES = {
+    js: 'javascript', mjs: 'javascript', cjs: 'javascript', node: 'javascript', ts: 'typescript',
+    py: 'python', py3: 'python', python3: 'python', ipython: 'python', ipython3: 'python', rb: 'ruby',
+    sh: 'bash', shell: 'bash', zsh: 'bash', 'shell-session': 'console', shellsession: 'console', terminal: 'console',
+    'html-basic': 'html', xhtml: 'html', md: 'markdown', yml: 'yaml', 'c++': 'cpp', cxx: 'cpp', hpp: 'cpp',
+    cs: 'csharp', 'c#': 'csharp', 'objective-c': 'objectivec', objc: 'objectivec', golang: 'go', rs: 'rust',
+    kt: 'kotlin', ps1: 'powershell', pwsh: 'powershell', tex: 'latex', 'f#': 'fsharp',
+    text: '', txt: '', plain: '', plaintext: '', none: '', default: '', nohighlight: '', 'no-highlight': '',
+  };
+
+  // language-x / lang-x (Prism, highlight.js, Rouge), highlight-source-x / highlight-text-x (GitHub),
+  // highlight-x (Sphinx/Pygments), brush: x (SyntaxHighlighter)
+  const CODE_LANG_CLASS_RE = /(?:^|\s)(?:language|lang|highlight-source|highlight-text|highlight)-([\w+#.-]+)/i;
+
+  function normalizeCodeLanguage(lang) {
+    const l = (lang || '').trim().toLowerCase();
+    return Object.prototype.hasOwnProperty.call(CODE_LANG_ALIASES, l) ? CODE_LANG_ALIASES[l] : l;
+  }
+
+  function codeLanguageOf(el, own) {
+    if (!el?.getAttribute) return '';
+    // lang= is natural language on anything but the code element itself (GitLab puts the language there)
+    for (const attr of own ? ['data-lang', 'data-language', 'data-canonical-lang', 'lang'] : ['data-lang', 'data-language']) {
+      const v = el.getAttribute(attr);
+      if (v) return v;
+    }
+    const cls = el.getAttribute('class') || '';
+    const m = cls.match(CODE_LANG_CLASS_RE) || cls.match(/brush:\s*([\w+#-]+)/i);
+    return m ? m[1] : '';
+  }
+
+  // <code>, <pre>, then up to three wrappers (Rouge: div.language-x > div.highlight > pre)
   function detectCodeLanguage(codeEl, preEl) {
-    const cls = (codeEl.getAttribute('class') || '') + ' ' + (preEl?.getAttribute?.('class') || '');
-    const m = cls.match(/(?:language|lang)-([a-z0-9_+-]+)/i);
-    return m ? m[1].toLowerCase() : '';
+    const candidates = [[codeEl, true], [preEl, true]];
+    for (let el = preEl?.parentElement, i = 0; el && i < 3; el = el.parentElement, i++) candidates.push([el, false]);
+    for (const [el, own] of candidates) {
+      const lang = codeLanguageOf(el, own);
+      if (lang) return normalizeCodeLanguage(lang);
+    }
+    return '';
+  }
+
+  // Line-number gutters: Pygments (table and inline), Prism, highlight.js-line-numbers, GitHub/GitLab code views, CodeMirror
+  const CODE_GUTTER_SELECTOR = 'td.linenos, .linenodiv, span.linenos, span.lineno, span.ln, .line-numbers-rows, ' +
+    'div.line-numbers, .gutter, td.hljs-ln-numbers, td.blob-num, .diff-line-num, .file-line-num, ' +
+    '.react-line-number, .cm-gutters, .CodeMirror-gutters, .CodeMirror-linenumber';
+
+  // Code laid out one table row per line (GitHub blobs, hljs-ln), or Pygments' gutter + code table
+  const CODE_TABLE_SELECTOR = 'table.highlighttable, table.hljs-ln, table.js-file-line-container, table.diff-table';
+  const CODE_ROW_CELL_SELECTOR = 'td.blob-code, td.hljs-ln-code, td.line_content, td.code';
+
+  // Where a gutter class means line numbers: code blocks, code tables and the code viewers that keep the
+  // numbers beside the <pre> (CodeMirror, GitHub, GitLab). Elsewhere .gutter or .ln is page content.
+  const CODE_VIEW_SELECTOR = 'pre, code, ' + CODE_TABLE_SELECTOR +
+    ', .cm-editor, .CodeMirror, .react-code-file-contents, .blob-viewer, .diff-file';
+
+  const CONSOLE_LANGS = new Set(['console', 'pycon', 'doscon', 'ps1con', 'psql', 'irb', 'nodejsrepl']);
+  const PROMPT_RE = /^(?:\$|%|#|>>>|\.\.\.|PS [^>]*>|[\w.-]+@[\w.-]+(?::[^\s$#]*)?[$#]|In \[\d+\]:|\s+\.\.\.:|irb\([^)]*\):\d+:\d+[>*])\s?/;
+  const PROMPT_MARK = '\u0001';
+
+  // Text of a code element: <br> and per-line <div>s as newlines; with codeStripPrompts, console blocks keep only
+  // their commands (Pygments marks prompts .gp; otherwise the usual prompt shapes).
+  function extractCode(codeEl, lang, policies = Policies) {
+    const clone = codeEl.cloneNode(true);
+    clone.querySelectorAll(CODE_GUTTER_SELECTOR).forEach(n => n.remove());
+    clone.querySelectorAll('br').forEach(br => br.replaceWith('\n'));
+    clone.querySelectorAll('div').forEach((div) => {
+      if (!/\n$/.test(div.textContent)) div.append('\n');
+    });
+
+    const prompts = policies.codeStripPrompts ? clone.querySelectorAll('.gp') : [];
+    prompts.forEach(gp => gp.replaceWith(PROMPT_MARK));
+    const text = clone.textContent || '';
+    if (!policies.codeStripPrompts) return text;
+
+    const lines = text.split('\n');
+    if (prompts.length) {
+      return lines.filter(l => l.includes(PROMPT_MARK)).map(l => l.replace(PROMPT_MARK, '').replace(/^ /, '')).join('\n');
+    }
+    if (!CONSOLE_LANGS.has(lang)) return text;
+    const commands = lines.filter(l => PROMPT_RE.test(l));
+    return commands.length ? commands.map(l => l.replace(PROMPT_RE, '')).join('\n') : text;
   }
 
+  // Fence one backtick longer than any run inside the code.
   function fenceCode(raw, lang) {
     const body = (raw || '').replace(/\s+$/g, '');
-    return `\n\`\`\`${lang || ''}\n${body}\n\`\`\`\n`;
+    const longest = Math.max(2, ...(body.match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(longest + 1);
+    return `\n${fence}${lang || ''}\n${body}\n${fence}\n`;
   }
 
   function stripOuterBalancedBracesOnce(s) {
@@ -238,16 +1232,231 @@
     return { latex: s.trim(), forceDisplay };
   }
 
+  // texvc / MediaWiki-only macros -> equivalents MathJax (Obsidian) and KaTeX understand. Extend as needed;
+  // a value that is a bare command keeps taking the original's arguments (\mbox{..} -> \text{..}).
+  const TexMacros = {
+    '\\R': '\\mathbb{R}', '\\Reals': '\\mathbb{R}', '\\reals': '\\mathbb{R}',
+    '\\N': '\\mathbb{N}', '\\natnums': '\\mathbb{N}',
+    '\\Z': '\\mathbb{Z}', '\\Q': '\\mathbb{Q}', '\\H': '\\mathbb{H}',
+    '\\C': '\\mathbb{C}', '\\Complex': '\\mathbb{C}', '\\cnums': '\\mathbb{C}',
+    '\\and': '\\land', '\\or': '\\lor', '\\isin': '\\in',
+    '\\lang': '\\langle', '\\rang': '\\rangle',
+    '\\sgn': '\\operatorname{sgn}', '\\arccot': '\\operatorname{arccot}', '\\arcsec': '\\operatorname{arcsec}',
+    '\\arccsc': '\\operatorname{arccsc}', '\\sech': '\\operatorname{sech}', '\\csch': '\\operatorname{csch}',
+    '\\mbox': '\\text', '\\hbox': '\\text', '\\bold': '\\mathbf',
+    '\\empty': '\\emptyset', '\\O': '\\emptyset', '\\alef': '\\aleph', '\\alefsym': '\\aleph',
+    '\\Alpha': '\\mathrm{A}', '\\Beta': '\\mathrm{B}', '\\Epsilon': '\\mathrm{E}', '\\Zeta': '\\mathrm{Z}',
+    '\\Eta': '\\mathrm{H}', '\\Iota': '\\mathrm{I}', '\\Kappa': '\\mathrm{K}', '\\Mu': '\\mathrm{M}',
+    '\\Nu': '\\mathrm{N}', '\\Omicron': '\\mathrm{O}', '\\Rho': '\\mathrm{P}', '\\Tau': '\\mathrm{T}',
+    '\\Chi': '\\mathrm{X}', '\\omicron': 'o',
+    '\\bull': '\\bullet', '\\Dagger': '\\ddagger', '\\exist': '\\exists', '\\image': '\\Im', '\\real': '\\Re',
+    '\\part': '\\partial', '\\plusmn': '\\pm', '\\sdot': '\\cdot', '\\infin': '\\infty',
+    '\\sub': '\\subset', '\\sube': '\\subseteq', '\\supe': '\\supseteq', '\\thetasym': '\\vartheta', '\\weierp': '\\wp',
+    '\\clubs': '\\clubsuit', '\\diamonds': '\\diamondsuit', '\\hearts': '\\heartsuit', '\\spades': '\\spadesuit',
+    '\\larr': '\\leftarrow', '\\rarr': '\\rightarrow', '\\uarr': '\\uparrow', '\\darr': '\\downarrow',
+    '\\harr': '\\leftrightarrow', '\\lrarr': '\\leftrightarrow',
+    '\\lArr': '\\Leftarrow', '\\Larr': '\\Leftarrow', '\\rArr': '\\Rightarrow', '\\Rarr': '\\Rightarrow',
+    '\\uArr': '\\Uparrow', '\\Uarr': '\\Uparrow', '\\dArr': '\\Downarrow', '\\Darr': '\\Downarrow',
+    '\\hArr': '\\Leftrightarrow', '\\Harr': '\\Leftrightarrow', '\\lrArr': '\\Leftrightarrow', '\\Lrarr': '\\Leftrightarrow',
+  };
+
+  // Multi-line environments that only work in display math, and their inline-safe counterparts.
+  const INLINE_ENVIRONMENTS = {
+    'align': 'aligned', 'align*': 'aligned', 'eqnarray': 'aligned', 'eqnarray*': 'aligned',
+    'alignat': 'alignedat', 'alignat*': 'alignedat', 'gather': 'gathered', 'gather*': 'gathered',
+  };
+  // eqnarray is LaTeX-only (KaTeX lacks it); align renders the same in display math.
+  const DISPLAY_ENVIRONMENTS = { 'eqnarray': 'align', 'eqnarray*': 'align*' };
+
+  // Arguments of these are text mode: whitespace there is content.
+  const TEXT_MODE_COMMANDS = new Set(['\\text', '\\textrm', '\\textbf', '\\textit', '\\textsf', '\\texttt', '\\textup']);
+
+  // cmd (\alpha), sym (\\, \{, \,), comment, ws, '{', '}', text (anything else, e.g. "x^2+", "align*")
+  function tokenizeTex(s) {
+    const re = /\\[a-zA-Z]+|\\[\s\S]|%[^\n]*|\s+|[{}]|[^\\{}%\s]+/y;
+    const tokens = [];
+    let m;
+    while (re.lastIndex < s.length) {
+      const at = re.lastIndex;
+      if (!(m = re.exec(s))) { tokens.push({ type: 'text', v: s[at] }); re.lastIndex = at + 1; continue; }
+      const v = m[0];
+      const type = v[0] === '\\' ? (/^\\[a-zA-Z]/.test(v) ? 'cmd' : 'sym')
+        : v[0] === '%' ? 'comment'
+        : /^\s/.test(v) ? 'ws'
+        : v === '{' || v === '}' ? v
+        : 'text';
+      tokens.push({ type, v });
+    }
+    return tokens;
+  }
+
+  // Normalization every math rule goes through: texvc macros, environments valid for the display/inline
+  // context, collapsed whitespace, and {{x}} -> {x}.
+  function normalizeTex(latex, { display = false } = {}) {
+    const src = tokenizeTex(latex || '').filter(t => t.type !== 'comment');
+    const out = [];
+    let depth = 0;
+    let textDepth = -1;
+    let pendingText = false;
+
+    for (let i = 0; i < src.length; i++) {
+      let tok = src[i];
+      const inText = textDepth >= 0;
+
+      if (tok.type === 'cmd' && !inText) {
+        if (Object.prototype.hasOwnProperty.call(TexMacros, tok.v)) {
+          const rep = TexMacros[tok.v];
+          tok = { type: /^\\[a-zA-Z]+$/.test(rep) ? 'cmd' : 'text', v: rep };
+        }
+        if ((tok.v === '\\begin' || tok.v === '\\end') && src[i + 1]?.type === '{' && src[i + 2]?.type === 'text') {
+          const envs = display ? DISPLAY_ENVIRONMENTS : INLINE_ENVIRONMENTS;
+          const env = src[i + 2].v;
+          if (Object.prototype.hasOwnProperty.call(envs, env)) src[i + 2] = { type: 'text', v: envs[env] };
+        }
+        if (TEXT_MODE_COMMANDS.has(tok.v)) { pendingText = true; out.push(tok); continue; }
+      }
+
+      if (tok.type === '{') {
+        depth++;
+        if (pendingText) textDepth = depth;
+      } else if (tok.type === '}') {
+        if (depth === textDepth) textDepth = -1;
+        depth--;
+      } else if (tok.type === 'ws' && !inText) {
+        const prev = out[out.length - 1];
+        const next = src[i + 1];
+        if (!prev || !next || prev.type === '{' || prev.type === 'ws' || next.type === '}' || next.type === 'ws') continue;
+        // keep line structure of multi-line display math, but never a blank line (it would end the $$ block)
+        tok = { type: 'ws', v: display && tok.v.includes('\n') ? '\n' : ' ' };
+      }
+      if (tok.type !== 'ws') pendingText = false;
+      out.push(tok);
+    }
+
+    // {{x}} -> {x}
+    const partner = new Map();
+    const open = [];
+    out.forEach((t, i) => {
+      if (t.type === '{') open.push(i);
+      else if (t.type === '}' && open.length) { const j = open.pop(); partner.set(j, i); }
+    });
+    const drop = new Set();
+    for (let i = 0; i < out.length - 1; i++) {
+      if (out[i].type === '{' && out[i + 1].type === '{' && partner.has(i) && partner.get(i + 1) === partner.get(i) - 1) {
+        drop.add(i);
+        drop.add(partner.get(i));
+      }
+    }
+
+    let res = '';
+    let prev = null;
+    out.forEach((t, i) => {
+      if (drop.has(i)) return;
+      // \cmd directly followed by a letter would read as one longer command name
+      if (prev?.type === 'cmd' && /^[a-zA-Z]/.test(t.v)) res += ' ';
+      res += t.v;
+      prev = t;
+    });
+    return res.trim();
+  }
+
   function getMathMLToLatexConverter() {
     // mathml-to-latex UMD can expose different globals depending on bundle
+    const ns = window.MathMLToLaTeX?.MathMLToLaTeX; // UMD bundle: { MathMLToLaTeX: class { static convert } }
     const fn = (window.mathmlToLatex && window.mathmlToLatex.convert) ? window.mathmlToLatex.convert
       : (window.MathMLToLaTeX && typeof window.MathMLToLaTeX.convert === 'function') ? window.MathMLToLaTeX.convert
+      : (typeof ns?.convert === 'function') ? (mml) => ns.convert(mml)
       : (typeof window.MathMLToLaTeX === 'function') ? window.MathMLToLaTeX
       : null;
     return fn;
   }
 
-  function extractLatexFromElement(node) {
+  // typesetRoot -> { tex, display } from the page's MathJax v3+ document (TeX input only).
+  function mathJaxItems(win = pageWindow) {
+    const map = new Map();
+    try {
+      for (const item of win.MathJax?.startup?.document?.math || []) {
+        if (item.typesetRoot && item.inputJax?.name === 'TeX') map.set(item.typesetRoot, { tex: item.math, display: !!item.display });
+      }
+    } catch (e) { Log.d('MathJax document not readable', e); }
+    return map;
+  }
+
+  // MathJax v2: TeX is in the <script type="math/tex"> after the frame (kept by DOMSanitizer as span.mdclip-tex),
+  // else in the live page under the frame's id, else in the frame's data-mathml / assistive MathML.
+  function mathJax2Source(node, doc = document, policies = Policies) {
+    const frame = node.matches(MJ2_FRAME_SELECTOR) ? node : node.querySelector(MJ2_FRAME_SELECTOR);
+    const display = node.matches(MJ2_DISPLAY_SELECTOR) || !!node.closest(MJ2_DISPLAY_SELECTOR);
+
+    const kept = node.nextElementSibling;
+    if (kept?.classList.contains('mdclip-tex')) {
+      return { latex: kept.getAttribute('data-latex') || '', display: display || kept.hasAttribute('data-display') };
+    }
+    const script = frame?.id ? doc.getElementById(frame.id.replace(/-Frame$/, '')) : null;
+    if (script?.nodeName.toLowerCase() === 'script') {
+      return { latex: script.textContent || '', display: display || /mode\s*=\s*display/.test(script.getAttribute('type')) };
+    }
+    const mml = frame?.getAttribute('data-mathml');
+    const conv = getMathMLToLatexConverter();
+    if (mml && conv) {
+      try { return { latex: String(conv(mml)), display }; }
+      catch (e) { Log.d('MathML->LaTeX failed', e); }
+    }
+    return { latex: extractLatexFromElement(frame || node, policies), display };
+  }
+
+  // Inline wrapper and display-block boundary lines per delimiter style. Fenced blocks are set off by blank lines
+  // and never joined: a closing ``` right above the next fence reads as one run of backticks.
+  const MATH_DELIMITERS = {
+    dollars: { inline: (t) => `$${t}$`, open: '$$', close: '$$' },
+    brackets: { inline: (t) => `\\(${t}\\)`, open: '\\[', close: '\\]' },
+    gitlab: { inline: (t) => `$\`${t}\`$`, open: '```math', close: '```', fenced: true },
+    asciidoc: { inline: (t) => `latexmath:[${t.replace(/\]/g, '\\]')}]`, open: '[latexmath]\n++++', close: '++++' },
+  };
+
+  // Org and AsciiDoc have one native math syntax; Markdown flavours pick theirs in the settings.
+  function mathDelimiters(policies = Policies) {
+    return MATH_DELIMITERS[currentDialect(policies).math || policies.mathDelimiters] || MATH_DELIMITERS.dollars;
+  }
+
+  function renderMath(latex, display, policies = Policies) {
+    const d = mathDelimiters(policies);
+    const gap = d.fenced ? '\n\n' : '\n';
+    return display ? `${gap}${d.open}\n${latex}\n${d.close}${gap}` : d.inline(latex);
+  }
+
+  // Shared tail of every math rule: normalize, display only outside tables, Obsidian-like spacing around inline math.
+  function mathToMarkdown(node, latexRaw, displayByDom, policies = Policies) {
+    const norm = normalizeWikiTex(latexRaw);
+    if (!norm.latex) return '';
+
+    // table-safety like Obsidian: avoid block $$ inside tables
+    const isInTable = node.closest('table') !== null;
+    const display = !isInTable && (norm.forceDisplay || displayByDom);
+    const latex = normalizeTex(norm.latex, { display });
+    if (!latex) return '';
+    if (display) return renderMath(latex, true, policies);
+    // Every table syntax splits cells on |, so absolute values and norms are spelled out.
+    const inline = isInTable
+      ? latex.replace(/\\\\|\\\||\|/g, (m, at, s) => (m === '\\\\' ? m : (m === '|' ? '\\vert' : '\\Vert') + (/[a-zA-Z]/.test(s[at + m.length] || '') ? ' ' : '')))
+      : latex;
+
+    // Renderer leftovers (preview text, kept TeX script) are dropped, so look past them.
+    const leftover = (n) => n?.nodeType === 1 && n.matches('.MathJax_Preview, .mdclip-tex');
+    let prevNode = node.previousSibling;
+    let nextNode = node.nextSibling;
+    while (leftover(prevNode)) prevNode = prevNode.previousSibling;
+    while (leftover(nextNode)) nextNode = nextNode.nextSibling;
+    const prevChar = prevNode?.textContent?.slice(-1) || '';
+    const nextChar = nextNode?.textContent?.[0] || '';
+    const isStartOfLine = !prevNode || (prevNode.nodeType === Node.TEXT_NODE && (prevNode.textContent || '').trim() === '');
+    const isEndOfLine = !nextNode || (nextNode.nodeType === Node.TEXT_NODE && (nextNode.textContent || '').trim() === '');
+    const leftSpace = (!isStartOfLine && prevChar && !/[\s$]/.test(prevChar)) ? ' ' : '';
+    const rightSpace = (!isEndOfLine && nextChar && !/[\s$]/.test(nextChar)) ? ' ' : '';
+    return `${leftSpace}${renderMath(inline, false, policies)}${rightSpace}`;
+  }
+
+  function extractLatexFromElement(node, policies = Policies) {
     if (!(node instanceof Element)) return '';
 
     // 1) <math data-latex|alttext>
@@ -266,7 +1475,7 @@
     }
 
     // 3) TeX annotation (best on MediaWiki/KaTeX/MathJax assistive MML)
-    if (Policies.wikipediaPreferTexAnnotation) {
+    if (policies.wikipediaPreferTexAnnotation) {
       const ann = node.querySelector('annotation[encoding="application/x-tex"], annotation[encoding="TeX"]');
       const tex = ann?.textContent?.trim();
       if (tex) return tex;
@@ -281,28 +1490,203 @@
         catch (e) { Log.d('MathML->LaTeX failed', e); }
       }
     }
-
-    // 5) MediaWiki fallback img alt/aria-label
-    const img = node.nodeName.toLowerCase() === 'img' ? node : node.querySelector('img');
-    if (img) {
-      return (img.getAttribute('alt') || img.getAttribute('aria-label') || '').trim();
-    }
     return '';
   }
 
-  class MarkdownConverter {
-    constructor() {
-      if (typeof TurndownService !== 'function') throw new Error('Turndown missing');
+  const TRACKING_PARAM_RE = /^(utm_\w+|fbclid|gclid|dclid|gbraid|wbraid|msclkid|yclid|mc_cid|mc_eid|igshid|_hsenc|_hsmi|mkt_tok|ref_src)$/i;
 
-      this.td = new TurndownService({
-        codeBlockStyle: 'fenced',
-        emDelimiter: '*',
-        strongDelimiter: '**',
-        bulletListMarker: '-',
-        headingStyle: 'atx',
-      });
+  // Absolute URL against document.baseURI (honours <base>); '' for script URLs that must not survive.
+  function resolveUrl(raw, base = document.baseURI, policies = Policies) {
+    let s = (raw || '').trim();
+    if (!s) return '';
+    if (s.startsWith('//') && !/^https?:/i.test(base)) s = 'https:' + s;
 
-      if (window.turndownPluginGfm?.gfm) this.td.use(window.turndownPluginGfm.gfm);
+    let u;
+    try { u = new URL(s, base); } catch { return s; }
+    if (/^(javascript|vbscript):$/i.test(u.protocol)) return '';
+
+    if (policies.stripTrackingParams && /^https?:$/.test(u.protocol)) {
+      const drop = Array.from(u.searchParams.keys()).filter(k => TRACKING_PARAM_RE.test(k));
+      for (const k of drop) u.searchParams.delete(k);
+    }
+    return u.href;
+  }
+
+  // Where lazy loaders keep the real image until it scrolls into view
+  const LAZY_SRC_ATTRS = ['data-src', 'data-lazy-src', 'data-original', 'data-actualsrc', 'data-hi-res-src', 'data-url'];
+  const LAZY_SRCSET_ATTRS = ['data-srcset', 'data-lazy-srcset'];
+
+  // "a.jpg 1x, b.jpg 2x" / "a.jpg 400w, b.jpg 800w" -> [{ url, size }]
+  function parseSrcset(srcset) {
+    const out = [];
+    const re = /\s*([^\s]+)(?:\s+([\d.]+)([wx])[^,]*)?\s*(?:,|$)/g;
+    let m;
+    while ((m = re.exec(srcset || '')) && m[0]) {
+      const url = m[1].replace(/,+$/, '');
+      if (url) out.push({ url, size: m[2] ? parseFloat(m[2]) : 1 });
+    }
+    return out;
+  }
+
+  // Transparent pixels and spinners lazy loaders put in src
+  function isPlaceholderImage(src) {
+    if (/^data:image\//i.test(src)) return src.length < 400;
+    return /(?:^|[/_.-])(?:blank|spacer|placeholder|pixel|transparent|lazy|loading|grey|1x1)[\w-]*\.(?:gif|png|svg)(?:$|[?#])/i.test(src);
+  }
+
+  // Largest candidate of one srcset; a w and an x descriptor mean nothing to each other, so lists are never mixed.
+  function largestCandidate(srcset) {
+    let best = null;
+    for (const c of parseSrcset(srcset)) if (!best || c.size > best.size) best = c;
+    return best;
+  }
+
+  // The first srcset that has candidates, its largest one: <picture><source> lists before the fallback <img>'s,
+  // a lazy loader's copy before srcset (which may still hold its placeholder). Then lazy-load attributes, then
+  // src unless it is a placeholder.
+  function bestImageSource(img) {
+    const sets = [];
+    if (img.parentElement?.nodeName.toLowerCase() === 'picture') {
+      for (const source of img.parentElement.querySelectorAll('source')) {
+        sets.push(source.getAttribute('data-srcset'), source.getAttribute('srcset'));
+      }
+    }
+    sets.push(...LAZY_SRCSET_ATTRS.map(a => img.getAttribute(a)), img.getAttribute('srcset'));
+    for (const set of sets) {
+      const best = largestCandidate(set);
+      if (best) return best.url;
+    }
+
+    const lazy = LAZY_SRC_ATTRS.map(a => img.getAttribute(a)).find(Boolean);
+    const src = img.getAttribute('src') || '';
+    if (lazy && (!src || isPlaceholderImage(src))) return lazy;
+    return src && !isPlaceholderImage(src) ? src : lazy || '';
+  }
+
+  function imageWidth(el) {
+    const w = parseInt(el.getAttribute('width'), 10);
+    return w > 0 ? w : 0;
+  }
+
+  // Decorative icons: hidden from assistive tech, unsized, or declared no bigger than a glyph
+  function isIconSvg(svg) {
+    if (svg.getAttribute('aria-hidden') === 'true' || /(?:^|\s|-)(?:icon|octicon)/i.test(svg.getAttribute('class') || '')) return true;
+    if (!svg.hasAttribute('width') && !svg.hasAttribute('height') && !svg.hasAttribute('viewBox')) return true;
+    const w = parseFloat(svg.getAttribute('width'));
+    const h = parseFloat(svg.getAttribute('height'));
+    return w > 0 && h > 0 && w <= 32 && h <= 32;
+  }
+
+  const SVG_DATA_URI_MAX = 200000;
+
+  function svgDataUri(svg) {
+    const clone = svg.cloneNode(true);
+    clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+    const uri = 'data:image/svg+xml;charset=utf-8,' +
+      encodeURIComponent(clone.outerHTML).replace(/\(/g, '%28').replace(/\)/g, '%29');
+    if (uri.length > SVG_DATA_URI_MAX) { Log.d('inline SVG too large for a data URI', uri.length); return ''; }
+    return uri;
+  }
+
+  // Last path segment, the name a downloaded attachment would get in the vault
+  function imageFileName(src) {
+    try {
+      const name = new URL(src).pathname.split('/').filter(Boolean).pop();
+      return name ? decodeURIComponent(name) : src;
+    } catch { return src; }
+  }
+
+  // Fragment id a citation superscript points at (MediaWiki cite_note-…, GitHub user-content-fn-…), decoded for getElementById.
+  function citationTarget(sup) {
+    const href = sup.querySelector('a[href*="#"]')?.getAttribute('href') || '';
+    const hash = href.slice(href.indexOf('#') + 1);
+    try { return decodeURIComponent(hash); } catch { return hash; }
+  }
+
+  // Markdown [^1]: … and Org [fn:1] … definitions
+  const FOOTNOTE_DEF_RE = /^\[(\^[^\]\s]+\]:|fn:[^\]\s]+\])\s/;
+
+  // Obsidian callout types (aliases included) and what sites call theirs.
+  const CALLOUT_TYPES = new Set(['note', 'abstract', 'summary', 'tldr', 'info', 'todo', 'tip', 'hint', 'important',
+    'success', 'check', 'done', 'question', 'help', 'faq', 'warning', 'caution', 'attention', 'failure', 'fail',
+    'missing', 'danger', 'error', 'bug', 'example', 'quote', 'cite']);
+  const CALLOUT_ALIASES = { seealso: 'info', 'see-also': 'info', remark: 'note', notice: 'note', secondary: 'note' };
+  // MkDocs / Sphinx, GitHub alerts, Docusaurus, Wikipedia hatnotes
+  const CALLOUT_SELECTOR = '.admonition, .markdown-alert, .theme-admonition, .hatnote';
+  const CALLOUT_TITLE_SELECTOR = '.admonition-title, .markdown-alert-title, [class*="admonitionHeading"]';
+
+  // "markdown-alert-warning", "theme-admonition-tip", "admonition seealso", <details class="danger"> -> callout type
+  function calloutType(el) {
+    for (const cls of el.classList) {
+      const name = cls.toLowerCase().replace(/^(markdown-alert|theme-admonition|admonition)-/, '');
+      if (CALLOUT_TYPES.has(name)) return name;
+      if (CALLOUT_ALIASES[name]) return CALLOUT_ALIASES[name];
+    }
+    return 'note';
+  }
+
+  function callout(type, title, fold, body) {
+    const head = `> [!${type}]${fold}${title ? ' ' + title : ''}`;
+    const lines = body.trim() ? body.trim().replace(/\n{3,}/g, '\n\n').split('\n').map(l => (l ? `> ${l}` : '>')) : [];
+    return `\n\n${[head, ...lines].join('\n')}\n\n`;
+  }
+
+  // A checkbox is a task marker when nothing but whitespace precedes it in its list item.
+  function taskCheckbox(node) {
+    if (node.nodeName.toLowerCase() !== 'input' || node.type !== 'checkbox') return false;
+    const li = node.closest('li');
+    if (!li) return false;
+    const before = node.ownerDocument.createRange();
+    before.setStart(li, 0);
+    before.setEndBefore(node);
+    return !before.toString().trim();
+  }
+
+  // Turndown with the math/citation/image rules; also the base of the Org and AsciiDoc writers (gfm: false),
+  // which replace the Markdown syntax rules and the codeBlock/image/footnote hooks.
+  // obsidian: highlights, callouts, foldable details, task items, inline HTML sub/sup/kbd.
+  class MarkdownConverter {
+    constructor({ gfm = true, obsidian = false, doc = document, adapters = [], policies = Policies } = {}) {
+      if (typeof TurndownService !== 'function') throw new Error('Turndown missing');
+
+      // Settings this converter was built for: the live Policies, or a preview's copy with some options flipped
+      this.policies = policies;
+
+      // Document the selection came from (a same-origin frame's, say): base URL and citation lookups
+      this.doc = doc;
+      // Site adapters this converter was built for (their rules are in td; postProcess runs in joinParts)
+      this.adapters = adapters;
+
+      // note id -> { n, text } for the citations met since the last takeFootnotes()
+      this.footnotes = new Map();
+
+      // <td>/<th> and <figcaption> -> converted content, read back by the table and figure rules
+      this.cells = new WeakMap();
+      this.captions = new WeakMap();
+
+      // Turndown sends text-less elements straight to blankReplacement, skipping every rule;
+      // rules listed here (SVG-only math, kept TeX sources) still get to run.
+      this.blankRules = [];
+
+      this.td = new TurndownService({
+        codeBlockStyle: 'fenced',
+        emDelimiter: '*',
+        strongDelimiter: '**',
+        bulletListMarker: '-',
+        headingStyle: 'atx',
+        blankReplacement: (content, node) => {
+          const rule = this.blankRules.find(r => r.filter(node, this.td.options));
+          if (rule) return rule.replacement(content, node, this.td.options);
+          return node.isBlock ? '\n\n' : '';
+        },
+      });
+
+      if (gfm && window.turndownPluginGfm?.gfm) this.td.use(window.turndownPluginGfm.gfm);
+
+      if (this.policies.escapeDollars || currentDialect(this.policies).escapeDollars) {
+        const escape = this.td.escape.bind(this.td);
+        this.td.escape = (text) => escape(text).replace(/\$/g, '\\$');
+      }
 
       // Code blocks: turn <pre> into fenced code
       this.td.addRule('preToFence', {
@@ -310,180 +1694,1127 @@
         replacement: (_content, node) => {
           const pre = node;
           const code = pre.querySelector('code') || pre;
-          const raw = code.textContent || '';
           const lang = detectCodeLanguage(code, pre);
-          return fenceCode(raw, lang);
+          return this.codeBlock(extractCode(code, lang, this.policies), lang);
         }
       });
 
-      // MathJax v3: <mjx-container> has assistive MathML
-      this.td.addRule('MathJax', {
+      // gfm's highlightedCodeBlock writes the wrapper's raw text; let the <pre> inside go through preToFence.
+      this.td.addRule('highlightedCodeBlock', {
+        filter: (node) => node.nodeName.toLowerCase() === 'div' && /highlight-(?:text|source)-/.test(node.className) &&
+          node.firstElementChild?.nodeName.toLowerCase() === 'pre',
+        replacement: (content) => `\n\n${content}\n\n`
+      });
+
+      // Line-per-row code tables: one code block from the code cells, gutters already gone (see convert()).
+      this.td.addRule('codeTable', {
+        filter: (node) => !!node.matches?.(CODE_TABLE_SELECTOR),
+        replacement: (_content, node) => {
+          const pre = node.querySelector('pre');
+          if (pre) {
+            const code = pre.querySelector('code') || pre;
+            const lang = detectCodeLanguage(code, pre) || detectCodeLanguage(node, node);
+            return this.codeBlock(extractCode(code, lang, this.policies), lang);
+          }
+          const lang = normalizeCodeLanguage(node.getAttribute('data-tagsearch-lang')) || detectCodeLanguage(node, node);
+          const lines = Array.from(node.querySelectorAll(CODE_ROW_CELL_SELECTOR), td => extractCode(td, lang, this.policies).replace(/\n$/, ''));
+          return this.codeBlock(lines.join('\n'), lang);
+        }
+      });
+
+      // MathJax v3: TeX recovered at capture time (data-latex), else the assistive MathML
+      this.addRule('MathJax', {
+        blank: true,
         filter: (node) => node.nodeName && node.nodeName.toLowerCase() === 'mjx-container',
         replacement: (content, node) => {
-          if (!(node instanceof HTMLElement)) return content;
-          const assistive = node.querySelector('mjx-assistive-mml');
-          const mathEl = assistive?.querySelector('math');
-          if (!mathEl) return content;
+          const mathEl = node.querySelector('mjx-assistive-mml math') || node.querySelector('math');
+          const latex = (node.getAttribute('data-latex') || (mathEl ? extractLatexFromElement(mathEl, this.policies) : '')).trim();
+          if (!latex) return content;
+          const display = node.getAttribute('display') === 'true' || mathEl?.getAttribute('display') === 'block';
+          return mathToMarkdown(node, latex, display, this.policies);
+        }
+      });
 
-          const conv = getMathMLToLatexConverter();
-          if (!conv) return content;
+      // MathJax v2: display wrapper or bare frame; the TeX <script> after it is consumed here.
+      this.addRule('MathJax2', {
+        blank: true,
+        filter: (node) => node.nodeName.toLowerCase() !== 'mjx-container' && !!node.matches &&
+          (node.matches(MJ2_DISPLAY_SELECTOR) || (node.matches(MJ2_FRAME_SELECTOR) && !node.closest(MJ2_DISPLAY_SELECTOR))),
+        replacement: (_content, node) => {
+          const src = mathJax2Source(node, this.doc, this.policies);
+          return mathToMarkdown(node, src.latex, src.display, this.policies);
+        }
+      });
 
-          let latex = '';
-          try { latex = String(conv(mathEl.outerHTML)).trim(); }
-          catch { return content; }
+      // MathJax v2 TeX script without its frame (e.g. not typeset yet)
+      this.addRule('MathJax2Source', {
+        blank: true,
+        filter: (node) => !!node.classList?.contains('mdclip-tex'),
+        replacement: (_content, node) => {
+          const prev = node.previousElementSibling;
+          if (prev?.matches(MJ2_DISPLAY_SELECTOR + ', ' + MJ2_FRAME_SELECTOR)) return '';
+          return mathToMarkdown(node, node.getAttribute('data-latex'), node.hasAttribute('data-display'), this.policies);
+        }
+      });
 
-          const norm = normalizeWikiTex(latex);
-          const isBlock = norm.forceDisplay || mathEl.getAttribute('display') === 'block';
-          return isBlock ? `\n$$\n${norm.latex}\n$$\n` : `$${norm.latex}$`;
+      // KaTeX: TeX from the hidden .katex-mathml annotation; the visual .katex-html is never emitted.
+      this.td.addRule('KaTeX', {
+        filter: (node) => !!node.classList &&
+          (node.classList.contains('katex-display') || (node.classList.contains('katex') && !node.closest('.katex-display'))),
+        replacement: (_content, node) => {
+          const ann = node.querySelector('annotation[encoding="application/x-tex"]');
+          const latex = ann?.textContent || extractLatexFromElement(node.querySelector('.katex-mathml') || node, this.policies);
+          return mathToMarkdown(node, latex, node.classList.contains('katex-display'), this.policies);
         }
       });
 
-      // MediaWiki/Wikipedia + generic <math> and fallback images (Obsidian-like rule)
+      // Renderer leftovers with no content of their own
+      this.td.remove((node) => !!node.classList &&
+        (node.classList.contains('MathJax_Preview') || node.classList.contains('katex-html')));
+
+      // <math> from any source (MathML pages, LaTeXML, stray assistive copies); site wrappers are adapter rules.
       this.td.addRule('math', {
-        filter: (node) => {
-          if (!node || !(node instanceof Element)) return false;
-          const nn = node.nodeName.toLowerCase();
-          if (nn === 'math') return true;
-          if (!node.classList) return false;
-          return node.classList.contains('mwe-math-element') ||
-            node.classList.contains('mwe-math-fallback-image-inline') ||
-            node.classList.contains('mwe-math-fallback-image-display');
-        },
+        filter: 'math',
+        replacement: (_content, node) => {
+          const latexRaw = extractLatexFromElement(node, this.policies).trim();
+          return latexRaw ? mathToMarkdown(node, latexRaw, node.getAttribute('display') === 'block', this.policies) : '';
+        }
+      });
+
+      // MediaWiki-style citations (also on wikis the mediawiki adapter doesn't pick): [1] superscripts -> [^n];
+      // unresolvable ones keep their default rendering.
+      this.td.addRule('citation', {
+        filter: (node) => this.policies.wikipediaCitationsAsFootnotes &&
+          node.nodeName.toLowerCase() === 'sup' && node.classList.contains('reference'),
+        replacement: (content, node) => {
+          const id = citationTarget(node);
+          const li = id && this.doc.getElementById(id);
+          const note = li && this.footnote(id, li.querySelector('.reference-text') || li);
+          return note ? this.footnoteRef(note) : content;
+        }
+      });
+
+      // Images default (src is already the best candidate, see resolveUrls())
+      this.td.addRule('images', {
+        filter: 'img',
+        replacement: (_content, node) => {
+          const img = node;
+          const src = img.getAttribute('src') || '';
+          const alt = (img.getAttribute('alt') || '').replace(/\s+/g, ' ').trim();
+          if (!src || isPlaceholderImage(src)) return '';
+          return this.image(src, alt, imageWidth(img));
+        }
+      });
+
+      // Inline SVG diagrams as data-URI images; icons and rendered math are left alone.
+      this.addRule('inlineSvg', {
+        blank: true,
+        filter: (node) => this.policies.imageSvgDataUri && node.nodeName.toLowerCase() === 'svg' &&
+          !node.parentElement?.closest('svg') && !node.closest(MATH_CONTAINER_SELECTOR) && !isIconSvg(node),
+        replacement: (_content, node) => {
+          const uri = svgDataUri(node);
+          const title = node.getAttribute('aria-label') || node.querySelector('title')?.textContent || '';
+          return uri ? this.image(uri, title.replace(/\s+/g, ' ').trim(), imageWidth(node)) : '';
+        }
+      });
+
+      // Captions go under the figure's content, whatever their position in the markup.
+      this.td.addRule('figcaption', {
+        filter: (node) => node.nodeName.toLowerCase() === 'figcaption' && node.parentNode.nodeName.toLowerCase() === 'figure',
+        replacement: (content, node) => { this.captions.set(node, oneLine(content)); return ''; }
+      });
+      this.td.addRule('figure', {
+        filter: 'figure',
         replacement: (content, node) => {
-          if (!(node instanceof Element)) return content;
+          const cap = Array.from(node.children).find(c => c.nodeName.toLowerCase() === 'figcaption');
+          const caption = cap ? this.captions.get(cap) || '' : '';
+          return caption ? this.figure(content.trim(), caption) : `\n\n${content.trim()}\n\n`;
+        }
+      });
+
+      // Tables: spans expanded to a grid, one line per row; HTML when cells hold blocks GFM can't.
+      this.td.addRule('tableCell', {
+        filter: ['th', 'td'],
+        replacement: (content, node) => { this.cells.set(node, content); return content; }
+      });
+      this.td.addRule('table', {
+        filter: (node) => node.nodeName.toLowerCase() === 'table' && !node.matches(CODE_TABLE_SELECTOR),
+        replacement: (_content, node) => this.writeTable(node) ?? this.htmlBlock(this.tableHtml(node))
+      });
 
-          let latexRaw = extractLatexFromElement(node);
-          latexRaw = (latexRaw || '').trim();
-          if (!latexRaw) return '';
+      if (obsidian) this.addObsidianRules();
+      // Last, so a site's rules win over the generic ones for the same elements
+      for (const adapter of adapters) adapter.rules?.(this);
+    }
 
-          const norm = normalizeWikiTex(latexRaw);
-          const latex = norm.latex;
+    // null when the table can't be written in this syntax (the caller falls back to HTML)
+    writeTable(table) {
+      const grid = tableGrid(table);
+      if (!grid) return null;
+      const width = Math.max(...grid.map(row => row.length));
+
+      const line = (row) => '| ' + Array.from({ length: width }, (_, c) => gfmCell(row[c] ? this.cells.get(row[c]) || '' : '')).join(' | ') + ' |';
+      // No heading row in the source: the first row becomes the header, as GFM needs one.
+      const align = Array.from({ length: width }, (_, c) => {
+        const a = (grid[0][c]?.getAttribute('align') || '').toLowerCase();
+        return a === 'center' ? ':---:' : a === 'right' ? '---:' : a === 'left' ? ':---' : '---';
+      });
+      const caption = table.caption ? oneLine(table.caption.textContent || '') : '';
+      const rows = [line(grid[0]), `| ${align.join(' | ')} |`, ...grid.slice(1).map(line)];
+      return `\n\n${caption ? caption + '\n\n' : ''}${rows.join('\n')}\n\n`;
+    }
+
+    htmlBlock(html) {
+      return `\n\n${html}\n\n`;
+    }
+
+    // The sanitized table itself with math as TeX; no blank lines, which would end a Markdown HTML block.
+    tableHtml(table) {
+      const maths = Array.from(table.querySelectorAll(MATH_CONTAINER_SELECTOR))
+        .filter(el => !el.parentElement?.closest(MATH_CONTAINER_SELECTOR));
+      for (const el of maths) {
+        const rule = this.td.rules.forNode(el);
+        el.replaceWith(el.ownerDocument.createTextNode(rule.replacement('', el, this.td.options)));
+      }
+      for (const el of [table, ...table.querySelectorAll('*')]) {
+        for (const attr of Array.from(el.attributes)) {
+          if (!TABLE_HTML_ATTRS.has(attr.name)) el.removeAttribute(attr.name);
+        }
+      }
+      return table.outerHTML.replace(/\n\s*\n/g, '\n').trim();
+    }
 
-          // table-safety like Obsidian: avoid block $$ inside tables
-          const isInTable = node.closest('table') !== null;
+    addObsidianRules() {
+      const escape = this.td.escape.bind(this.td);
+      this.td.escape = (text) => escape(text).replace(/==/g, '\\=\\=');
 
-          // Display if:
-          // - forced by \displaystyle
-          // - math@display=block
-          // - fallback display class
-          // - (Obsidian heuristic) parent is mwe-math-element and previous sibling is <p>
-          const displayByDom =
-            node.getAttribute('display') === 'block' ||
-            node.classList.contains('mwe-math-fallback-image-display') ||
-            (node.parentElement &&
-              node.parentElement.classList.contains('mwe-math-element') &&
-              node.parentElement.previousElementSibling &&
-              node.parentElement.previousElementSibling.nodeName.toLowerCase() === 'p');
+      this.td.addRule('highlight', {
+        filter: 'mark',
+        replacement: (content) => content.trim() ? `==${content}==` : ''
+      });
 
-          const isDisplay = !isInTable && (norm.forceDisplay || displayByDom);
+      // Title elements are read by the callout itself.
+      this.td.addRule('calloutTitle', {
+        filter: (node) => !!node.matches &&
+          ((node.matches(CALLOUT_TITLE_SELECTOR) && !!node.parentNode?.matches?.(CALLOUT_SELECTOR)) ||
+            (node.nodeName.toLowerCase() === 'summary' && node.parentNode?.nodeName.toLowerCase() === 'details')),
+        replacement: () => ''
+      });
 
-          if (isDisplay) return `\n$$\n${latex}\n$$\n`;
+      this.td.addRule('callout', {
+        filter: (node) => !!node.matches && node.nodeName.toLowerCase() !== 'details' && node.matches(CALLOUT_SELECTOR),
+        replacement: (content, node) => {
+          const type = node.classList.contains('hatnote') ? 'note' : calloutType(node);
+          const titleEl = Array.from(node.children).find(c => c.matches(CALLOUT_TITLE_SELECTOR));
+          const title = normalizeInvisibleUnicode(titleEl?.textContent || '').replace(/\s+/g, ' ').trim();
+          return callout(type, title.toLowerCase() === type ? '' : title, '', content);
+        }
+      });
 
-          // Inline spacing (Obsidian-like)
-          const prevNode = node.previousSibling;
-          const nextNode = node.nextSibling;
-          const prevChar = prevNode?.textContent?.slice(-1) || '';
-          const nextChar = nextNode?.textContent?.[0] || '';
-          const isStartOfLine = !prevNode || (prevNode.nodeType === Node.TEXT_NODE && (prevNode.textContent || '').trim() === '');
-          const isEndOfLine = !nextNode || (nextNode.nodeType === Node.TEXT_NODE && (nextNode.textContent || '').trim() === '');
-          const leftSpace = (!isStartOfLine && prevChar && !/[\s$]/.test(prevChar)) ? ' ' : '';
-          const rightSpace = (!isEndOfLine && nextChar && !/[\s$]/.test(nextChar)) ? ' ' : '';
-          return `${leftSpace}$${latex}$${rightSpace}`;
+      // <details> -> foldable callout, expanded (+) if it was open
+      this.td.addRule('details', {
+        filter: 'details',
+        replacement: (content, node) => {
+          const summary = Array.from(node.children).find(c => c.nodeName.toLowerCase() === 'summary');
+          const title = normalizeInvisibleUnicode(summary?.textContent || '').replace(/\s+/g, ' ').trim();
+          return callout(calloutType(node), title, node.hasAttribute('open') ? '+' : '-', content);
         }
       });
 
-      // Images default
-      this.td.addRule('images', {
-        filter: 'img',
+      this.td.addRule('taskItem', {
+        filter: (node) => taskCheckbox(node),
         replacement: (_content, node) => {
-          const img = node;
-          // After math rule, we can optionally drop remaining MediaWiki math images
-          const src = img.getAttribute('src') || img.getAttribute('data-src') || '';
-          if (Policies.wikipediaRemoveResidualMathImagesAfterExtract && /\/media\/math\/render\//.test(src)) return '';
-          const alt = (img.getAttribute('alt') || '').replace(/\s+/g, ' ').trim();
-          if (!src) return '';
-          return `![${alt}](${src})`;
+          const next = node.nextSibling;
+          const gap = next?.nodeType === Node.TEXT_NODE && /^\s/.test(next.nodeValue) ? '' : ' ';
+          return (node.checked ? '[x]' : '[ ]') + gap;
         }
       });
+
+      // Obsidian renders these inline tags; citation superscripts keep their own rule.
+      this.td.addRule('inlineHtml', {
+        filter: (node) => {
+          const nn = node.nodeName.toLowerCase();
+          if (nn === 'sup') return !node.classList.contains('reference');
+          if (nn === 'kbd') return !node.querySelector('kbd');
+          return nn === 'sub';
+        },
+        replacement: (content, node) => {
+          const tag = node.nodeName.toLowerCase();
+          return content.trim() ? `<${tag}>${content}</${tag}>` : '';
+        }
+      });
+    }
+
+    codeBlock(raw, lang) {
+      return fenceCode(raw, lang);
     }
 
-    convert(container) {
-      return this.td.turndown(container.innerHTML);
+    // imageMode 'wikilink': Obsidian embed of the file name (for vaults that download attachments);
+    // data URIs have no file to embed. Width hints are Obsidian's |400 suffix.
+    image(src, alt, width = 0) {
+      const hint = this.policies.imageWidthHint && width ? `|${width}` : '';
+      if (this.policies.imageMode === 'wikilink' && !/^data:/i.test(src)) return `![[${imageFileName(src)}${hint}]]`;
+      return `![${alt.replace(/([[\]])/g, '\\$1')}${hint}](${src})`;
+    }
+
+    figure(content, caption) {
+      return `\n\n${content}\n\n*${caption}*\n\n`;
+    }
+
+    footnoteRef(note) {
+      return `[^${note.n}]`;
+    }
+
+    footnoteDefs(notes) {
+      return notes.map(n => `[^${n.n}]: ${n.text}`).join('\n');
+    }
+
+    // Turndown addRule, plus blank: true to also run on elements Turndown considers blank
+    addRule(name, rule) {
+      this.td.addRule(name, rule);
+      if (rule.blank) this.blankRules.push(rule);
+    }
+
+    // Rewrite URLs on the DOM once, so every rule (Turndown's link rule included) sees the same absolute URLs.
+    resolveUrls(container) {
+      container.querySelectorAll('a[href]').forEach((a) => {
+        const href = resolveUrl(a.getAttribute('href'), this.doc.baseURI, this.policies);
+        if (href) a.setAttribute('href', href);
+        else a.removeAttribute('href');
+      });
+      // One absolute src per image; the srcset/lazy variants it was picked from would stay relative in the HTML flavor.
+      container.querySelectorAll('img').forEach((img) => {
+        const src = resolveUrl(bestImageSource(img), this.doc.baseURI, this.policies);
+        if (src) img.setAttribute('src', src);
+        else img.removeAttribute('src');
+        for (const attr of ['srcset', 'sizes', ...LAZY_SRC_ATTRS, ...LAZY_SRCSET_ATTRS]) img.removeAttribute(attr);
+      });
+      container.querySelectorAll('picture > source').forEach(s => s.remove());
+      return container;
+    }
+
+    // Per-copy state, for a converter reused across copies
+    reset(doc = document) {
+      this.doc = doc;
+      this.footnotes.clear();
+      return this;
+    }
+
+    // DOM fix-ups every rule relies on; the HTML clipboard flavor is read from the same container afterwards.
+    prepare(container) {
+      this.resolveUrls(container);
+      container.querySelectorAll(CODE_GUTTER_SELECTOR).forEach((n) => {
+        if (n.parentElement?.closest(CODE_VIEW_SELECTOR)) n.remove();
+      });
+    }
+
+    // Turndown reads (a clone of) the container itself; no innerHTML round trip.
+    convert(container, { prepared = false } = {}) {
+      if (!prepared) this.prepare(container);
+      return this.td.turndown(container);
+    }
+
+    // `el` holds the note's text: by default the element `id` names (a reference list entry outside the selection).
+    footnote(id, el = this.doc.getElementById(id)) {
+      const known = this.footnotes.get(id);
+      if (known) return known.pending ? null : known;
+
+      if (!el) return null;
+      // Reserve first: reference lists can cite each other, and nested citations get their own numbers.
+      const note = { pending: true };
+      this.footnotes.set(id, note);
+      const text = this.noteText(el);
+      if (!text) { this.footnotes.delete(id); return null; }
+
+      note.n = Array.from(this.footnotes.values()).filter(n => !n.pending).length + 1;
+      note.text = text;
+      note.pending = false;
+      return note;
+    }
+
+    // Single-line Markdown for a note's text; backlinks and the like go in the site adapters' preClean.
+    noteText(el) {
+      const div = document.createElement('div');
+      for (const child of el.childNodes) div.appendChild(child.cloneNode(true));
+      sanitizer.sanitize(div, this.doc);
+      this.resolveUrls(div);
+      return this.td.turndown(div.innerHTML).replace(/\s*\n+\s*/g, ' ').trim();
+    }
+
+    // Definitions for the markers emitted since the last call; appended once after all fragments.
+    takeFootnotes() {
+      const notes = Array.from(this.footnotes.values())
+        .filter(n => !n.pending)
+        .sort((a, b) => a.n - b.n);
+      this.footnotes.clear();
+      return this.footnoteDefs(notes);
     }
   }
 
-  function normalizeBlanklinesBlockSafe(md, maxBlank) {
-    const lines = md.replace(/\r\n/g, '\n').split('\n');
-    const out = [];
-    let inFence = false;
-    let inDisplayMath = false;
-    let blankCount = 0;
+  function oneLine(content) {
+    return content.replace(/\s*\n+\s*/g, ' ').trim();
+  }
+
+  function tableCells(tr) {
+    return Array.from(tr.children).filter(c => /^(td|th)$/i.test(c.nodeName));
+  }
+
+  const TABLE_HTML_ATTRS = new Set(['colspan', 'rowspan', 'align', 'scope', 'href', 'src', 'alt', 'title']);
+
+  // Cells that only fit a table as HTML
+  const TABLE_BLOCKS_SELECTOR = 'table, pre, blockquote, hr, h1, h2, h3, h4, h5, h6';
+
+  // Rows of cells on a rectangular grid; positions covered by a colspan/rowspan are null.
+  // null for tables whose cells hold blocks no text table syntax can (nested tables, code, quotes).
+  function tableGrid(table) {
+    if (table.querySelector(TABLE_BLOCKS_SELECTOR)) return null;
+    const grid = [];
+    Array.from(table.rows).forEach((tr, r) => {
+      grid[r] = grid[r] || [];
+      let c = 0;
+      for (const cell of tableCells(tr)) {
+        while (grid[r][c] !== undefined) c++;
+        const rows = Math.min(Math.max(Number(cell.getAttribute('rowspan')) || 1, 1), table.rows.length - r);
+        const cols = Math.min(Math.max(Number(cell.getAttribute('colspan')) || 1, 1), 1000);
+        for (let i = 0; i < rows; i++) {
+          grid[r + i] = grid[r + i] || [];
+          for (let j = 0; j < cols; j++) grid[r + i][c + j] = i || j ? null : cell;
+        }
+        c += cols;
+      }
+    });
+    return grid.some(row => row.length) ? grid : null;
+  }
+
+  // One GFM cell: paragraphs and line breaks become <br>, pipes escaped (math has none left, see mathToMarkdown).
+  function gfmCell(md) {
+    return md.trim()
+      .replace(/ {2}\n/g, '<br>')
+      .replace(/\n{2,}/g, '<br><br>')
+      .replace(/\n/g, '<br>')
+      .replace(/\|/g, '\\|');
+  }
+
+  // First row of its table, and either in <thead> or all <th>
+  function isHeaderRow(tr) {
+    const table = tr.closest('table');
+    if (!table || table.rows[0] !== tr) return false;
+    return tr.parentNode.nodeName.toLowerCase() === 'thead' || tableCells(tr).every(c => c.nodeName.toLowerCase() === 'th');
+  }
+
+  // Org-mode writer: the same sanitize/URL/math/citation stages, Org syntax for everything Turndown writes.
+  class OrgConverter extends MarkdownConverter {
+    constructor(options = {}) {
+      super({ ...options, gfm: false });
+      const td = this.td;
+
+      // A leading * would start a heading; Org reads $…$ as math too. A marker that could open emphasis, code or
+      // verbatim (*b*, /i/, _u_, =v=, ~c~, +s+) gets a zero-width space before it, as the Org manual suggests.
+      td.escape = (text) => {
+        const out = text.replace(/^(\s*)\*/gm, '$1\\ast{}').replace(/(^|[\s('"{-])([*/_=~+])(?=\S)/gm, '$1\u200B$2');
+        return this.policies.escapeDollars ? out.replace(/\$/g, '\\dollar{}') : out;
+      };
+
+      td.addRule('orgHeading', {
+        filter: ['h1', 'h2', 'h3', 'h4', 'h5', 'h6'],
+        replacement: (content, node) => `\n\n${'*'.repeat(Number(node.nodeName.charAt(1)))} ${oneLine(content)}\n\n`
+      });
+      td.addRule('orgEmphasis', { filter: ['em', 'i'], replacement: (content) => content.trim() ? `/${content}/` : '' });
+      td.addRule('orgStrong', { filter: ['strong', 'b'], replacement: (content) => content.trim() ? `*${content}*` : '' });
+      td.addRule('orgStrike', { filter: ['del', 's', 'strike'], replacement: (content) => content.trim() ? `+${content}+` : '' });
+      td.addRule('orgCode', {
+        filter: (node) => node.nodeName.toLowerCase() === 'code' && node.parentNode.nodeName.toLowerCase() !== 'pre',
+        replacement: (content) => content ? (content.includes('~') ? `=${content}=` : `~${content}~`) : ''
+      });
+      td.addRule('orgLink', {
+        filter: (node) => node.nodeName.toLowerCase() === 'a' && node.getAttribute('href'),
+        replacement: (content, node) => {
+          const href = node.getAttribute('href').replace(/[[\]]/g, (c) => encodeURIComponent(c));
+          const text = oneLine(content).replace(/[[\]]/g, '');
+          return text && text !== href ? `[[${href}][${text}]]` : `[[${href}]]`;
+        }
+      });
+      td.addRule('orgLineBreak', { filter: 'br', replacement: () => '\\\\\n' });
+      td.addRule('orgRule', { filter: 'hr', replacement: () => '\n\n-----\n\n' });
+      td.addRule('orgQuote', {
+        filter: 'blockquote',
+        replacement: (content) => `\n\n#+begin_quote\n${content.trim()}\n#+end_quote\n\n`
+      });
+      td.addRule('orgCheckbox', {
+        filter: (node) => node.nodeName.toLowerCase() === 'input' && node.type === 'checkbox',
+        replacement: (_content, node) => (node.checked ? '[X] ' : '[ ] ')
+      });
+    }
 
-    for (const line of lines) {
-      if (/^\s*```/.test(line)) { inFence = !inFence; out.push(line); blankCount = 0; continue; }
-      if (/^\s*\$\$\s*$/.test(line)) { inDisplayMath = !inDisplayMath; out.push(line); blankCount = 0; continue; }
+    // | a | b | rows, |---+---| under a heading row; | inside a cell reads as \vert (valid in math too)
+    writeTable(table) {
+      const grid = tableGrid(table);
+      if (!grid) return null;
+      const width = Math.max(...grid.map(row => row.length));
+      const line = (row) => '|' + Array.from({ length: width }, (_, c) =>
+        ` ${row[c] ? oneLine(this.cells.get(row[c]) || '').replace(/\|/g, '\\vert{}') : ''} |`).join('');
+      const rows = grid.map(line);
+      if (isHeaderRow(table.rows[0])) rows.splice(1, 0, `|${Array(width).fill('---').join('+')}|`);
+      const caption = table.caption ? `#+caption: ${oneLine(table.caption.textContent || '')}\n` : '';
+      return `\n\n${caption}${rows.join('\n')}\n\n`;
+    }
 
-      const isTableLine = /^\s*\|.*\|\s*$/.test(line) || /^\s*\|?[-: ]+\|[-|: ]*\s*$/.test(line);
-      const isBlank = !line.trim();
+    htmlBlock(html) {
+      return `\n\n#+begin_export html\n${html}\n#+end_export\n\n`;
+    }
 
-      if (inFence || inDisplayMath || isTableLine) { out.push(line); blankCount = 0; continue; }
+    // Lines that would read as headings or keywords inside the block get Org's comma escape.
+    codeBlock(raw, lang) {
+      const body = raw.replace(/\n$/, '').replace(/^(\s*)(,*(?:\*|#\+))/gm, '$1,$2');
+      return lang
+        ? `\n\n#+begin_src ${lang}\n${body}\n#+end_src\n\n`
+        : `\n\n#+begin_example\n${body}\n#+end_example\n\n`;
+    }
 
-      if (isBlank) { blankCount++; if (blankCount <= maxBlank) out.push(''); }
-      else { blankCount = 0; out.push(line); }
+    image(src) {
+      return `[[${src}]]`;
+    }
+
+    figure(content, caption) {
+      return `\n\n#+caption: ${caption}\n${content}\n\n`;
+    }
+
+    footnoteRef(note) {
+      return `[fn:${note.n}]`;
+    }
+
+    footnoteDefs(notes) {
+      return notes.map(n => `[fn:${n.n}] ${n.text}`).join('\n');
     }
-    return out.join('\n');
   }
 
-  function tightenAdjacentDisplayMathBlocks(md) {
-    const lines = md.split('\n');
+  const ADOC_LIST_ITEM_RE = /^(\*+|\.+) /;
+
+  // Blank lines inside a list item become "+" continuations so the item's later blocks stay attached;
+  // delimited blocks keep theirs.
+  function adocContinuation(text) {
     const out = [];
-    for (let i = 0; i < lines.length; i++) {
-      out.push(lines[i]);
-      if (/^\s*\$\$\s*$/.test(lines[i])) {
-        const a = lines[i + 1];
-        const b = lines[i + 2];
-        if (a !== undefined && b !== undefined && !a.trim() && /^\s*\$\$\s*$/.test(b)) i += 1;
+    let open = null;
+    let gap = false;
+    for (const line of text.split('\n')) {
+      if (open) {
+        out.push(line);
+        if (line.trim() === open) open = null;
+        continue;
       }
+      if (!line.trim()) { gap = out.length > 0; continue; }
+      if (gap && !ADOC_LIST_ITEM_RE.test(line)) out.push('+');
+      gap = false;
+      out.push(line);
+      if (/^(-{4,}|\+{4,}|\.{4,}|_{4,}|\|===)\s*$/.test(line)) open = line.trim();
     }
     return out.join('\n');
   }
 
-  function tightenListsBlockSafe(md) {
-    const lines = md.split('\n');
-    const out = [];
-    const isBlank = (l) => !l.trim();
-    const listMatch = (l) => l.match(/^(\s*)([-*+]|\d+\.)\s+/);
-    const fence = (l) => /^\s*```/.test(l);
-    const disp = (l) => /^\s*\$\$\s*$/.test(l);
+  // AsciiDoc writer: same stages as the Markdown one, Asciidoctor syntax.
+  class AsciiDocConverter extends MarkdownConverter {
+    constructor(options = {}) {
+      super({ ...options, gfm: false });
+      const td = this.td;
+
+      // Only what would start markup: constrained formatting marks at a word start, {attribute} references.
+      td.escape = (text) => text
+        .replace(/\{(?=[\w-]+\})/g, '\\{')
+        .replace(/(^|[\s([])([*_`#~^])(?=\S)/g, '$1\\$2');
+
+      td.addRule('adocHeading', {
+        filter: ['h1', 'h2', 'h3', 'h4', 'h5', 'h6'],
+        // "=" is the document title, so h1 is a level-1 section
+        replacement: (content, node) => `\n\n${'='.repeat(Math.min(Number(node.nodeName.charAt(1)) + 1, 6))} ${oneLine(content)}\n\n`
+      });
+      // Unconstrained (doubled) marks work mid-word as well.
+      td.addRule('adocEmphasis', { filter: ['em', 'i'], replacement: (content) => content.trim() ? `__${content}__` : '' });
+      td.addRule('adocStrong', { filter: ['strong', 'b'], replacement: (content) => content.trim() ? `**${content}**` : '' });
+      td.addRule('adocStrike', { filter: ['del', 's', 'strike'], replacement: (content) => content.trim() ? `[.line-through]#${content}#` : '' });
+      td.addRule('adocCode', {
+        filter: (node) => node.nodeName.toLowerCase() === 'code' && node.parentNode.nodeName.toLowerCase() !== 'pre',
+        replacement: (content) => content ? `\`+${content}+\`` : ''
+      });
+      td.addRule('adocLink', {
+        filter: (node) => node.nodeName.toLowerCase() === 'a' && node.getAttribute('href'),
+        replacement: (content, node) => {
+          const href = node.getAttribute('href').replace(/\[/g, '%5B').replace(/\]/g, '%5D');
+          const text = oneLine(content).replace(/\]/g, '\\]');
+          return `link:${href}[${text === href ? '' : text}]`;
+        }
+      });
+      td.addRule('adocLineBreak', { filter: 'br', replacement: () => ' +\n' });
+      td.addRule('adocRule', { filter: 'hr', replacement: () => "\n\n'''\n\n" });
+      td.addRule('adocQuote', {
+        filter: 'blockquote',
+        replacement: (content) => `\n\n____\n${content.trim()}\n____\n\n`
+      });
+      td.addRule('adocCheckbox', {
+        filter: (node) => node.nodeName.toLowerCase() === 'input' && node.type === 'checkbox',
+        replacement: (_content, node) => (node.checked ? '[x] ' : '[ ] ')
+      });
+
+      // Nesting is the marker length (** / ..), not indentation.
+      td.addRule('adocList', {
+        filter: ['ul', 'ol'],
+        replacement: (content, node) => {
+          const body = content.replace(/^\n+|\n+$/g, '');
+          if (node.parentNode.nodeName.toLowerCase() === 'li') return `\n${body}\n`;
+          const start = node.nodeName.toLowerCase() === 'ol' ? Number(node.getAttribute('start')) : 0;
+          return `\n\n${start > 1 ? `[start=${start}]\n` : ''}${body}\n\n`;
+        }
+      });
+      td.addRule('adocListItem', {
+        filter: 'li',
+        replacement: (content, node) => {
+          let depth = 0;
+          for (let p = node.parentNode; p; p = p.parentNode) if (/^(ul|ol)$/i.test(p.nodeName)) depth++;
+          const marker = (node.parentNode.nodeName.toLowerCase() === 'ol' ? '.' : '*').repeat(Math.min(Math.max(depth, 1), 5));
+          return `${marker} ${adocContinuation(content.replace(/^\n+|\n+$/g, ''))}\n`;
+        }
+      });
+    }
+
+    // |=== tables, one row per line; [%header] when the first row is a heading row
+    writeTable(table) {
+      const grid = tableGrid(table);
+      if (!grid) return null;
+      const width = Math.max(...grid.map(row => row.length));
+      const line = (row) => Array.from({ length: width }, (_, c) =>
+        `|${row[c] ? oneLine(this.cells.get(row[c]) || '').replace(/\|/g, '\\|') : ''}`).join(' ');
+      const caption = table.caption ? `.${oneLine(table.caption.textContent || '')}\n` : '';
+      const header = isHeaderRow(table.rows[0]) ? '[%header]\n' : '';
+      return `\n\n${caption}${header}|===\n${grid.map(line).join('\n')}\n|===\n\n`;
+    }
 
-    let inFence = false;
-    let inDisplayMath = false;
+    // Passthrough block
+    htmlBlock(html) {
+      return `\n\n++++\n${html}\n++++\n\n`;
+    }
 
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i];
+    codeBlock(raw, lang) {
+      const body = raw.replace(/\n$/, '');
+      const longest = Math.max(3, ...(body.match(/^-{4,}$/gm) || []).map(d => d.length));
+      const delim = '-'.repeat(longest + 1);
+      return `\n\n${lang ? `[source,${lang}]\n` : ''}${delim}\n${body}\n${delim}\n\n`;
+    }
 
-      if (fence(line)) { inFence = !inFence; out.push(line); continue; }
-      if (disp(line)) { inDisplayMath = !inDisplayMath; out.push(line); continue; }
-      if (inFence || inDisplayMath) { out.push(line); continue; }
+    image(src, alt, width = 0) {
+      const attrs = [alt ? JSON.stringify(alt) : '', width && this.policies.imageWidthHint ? `width=${width}` : ''];
+      return `image:${src}[${attrs.filter(Boolean).join(',')}]`;
+    }
 
-      if (isBlank(line)) {
-        const prev = out.length ? out[out.length - 1] : '';
-        const next = (i + 1 < lines.length) ? lines[i + 1] : '';
-        const p = listMatch(prev);
-        const n = listMatch(next);
-        if (p && n && p[1].length === n[1].length) continue;
+    // Titled block image when the figure is just the image; otherwise the caption as a block title.
+    figure(content, caption) {
+      return `\n\n.${caption}\n${content.replace(/^image:(?!:)/, 'image::')}\n\n`;
+    }
+
+    // AsciiDoc footnotes are inline; repeats point at the first by id.
+    footnoteRef(note) {
+      if (note.written) return `footnote:ref${note.n}[]`;
+      note.written = true;
+      return `footnote:ref${note.n}[${note.text.replace(/\]/g, '\\]')}]`;
+    }
+
+    footnoteDefs() {
+      return '';
+    }
+  }
+
+  function markdownVerbatimKey(line) {
+    // A fence closes only with its own length (code containing ``` gets a longer one, see fenceCode()).
+    const fence = line.match(/^\s*(`{3,}|~{3,})/);
+    if (fence) return fence[1];
+    if (/^\s*\$\$\s*$/.test(line)) return '$$';
+    if (/^\s*\\[[\]]\s*$/.test(line)) return '\\[';
+    return null;
+  }
+
+  function yamlHeader(fields) {
+    // JSON strings are valid YAML double-quoted scalars.
+    const lines = fields.map(([k, v]) => `${k}: ${k === 'created' ? v : JSON.stringify(v)}`);
+    return `---\n${lines.join('\n')}\n---\n`;
+  }
+
+  function markdownLink(text, url) {
+    return `[${text.replace(/([[\]])/g, '\\$1')}](${url})`;
+  }
+
+  // What each output format writes with and how post-processing reads it back:
+  // verbatimKey(line) names the delimited block a line opens/closes, listItem matches a list item line.
+  const Dialects = {
+    markdown: {
+      name: 'Markdown', markdown: true, Converter: MarkdownConverter,
+      verbatimKey: markdownVerbatimKey, listItem: /^(\s*)([-*+]|\d+\.)\s+/,
+      header: yamlHeader, link: markdownLink,
+    },
+    obsidian: {
+      name: 'Markdown', markdown: true, Converter: MarkdownConverter, options: { obsidian: true },
+      verbatimKey: markdownVerbatimKey, listItem: /^(\s*)([-*+]|\d+\.)\s+/,
+      header: yamlHeader, link: markdownLink,
+    },
+    // Pandoc's tex_math_dollars would read any pair of literal $ as math.
+    pandoc: {
+      name: 'Markdown', markdown: true, escapeDollars: true, Converter: MarkdownConverter,
+      verbatimKey: markdownVerbatimKey, listItem: /^(\s*)([-*+]|\d+\.)\s+/,
+      header: yamlHeader, link: markdownLink,
+    },
+    org: {
+      name: 'Org', math: 'brackets', Converter: OrgConverter,
+      verbatimKey: (line) => {
+        const m = line.match(/^\s*#\+(?:begin|end)_(src|example)\b/i);
+        if (m) return '#+' + m[1].toLowerCase();
+        return /^\s*\\[[\]]\s*$/.test(line) ? '\\[' : null;
+      },
+      listItem: /^(\s*)([-+]|\d+[.)])\s+/,
+      header: (fields) => fields.map(([k, v]) => `#+${k}: ${v}`).join('\n') + '\n',
+      link: (text, url) => `[[${url}][${text.replace(/[[\]]/g, '')}]]`,
+    },
+    asciidoc: {
+      name: 'AsciiDoc', math: 'asciidoc', Converter: AsciiDocConverter,
+      verbatimKey: (line) => (/^(-{4,}|\+{4,}|\.{4,}|\|===)\s*$/.test(line) ? line.trim() : null),
+      listItem: /^(\s*)(\*+|\.+)\s+/,
+      // Document title, then attributes; stem makes Asciidoctor load MathJax for latexmath.
+      header: (fields) => {
+        const title = fields.find(([k]) => k === 'title')?.[1] || '';
+        const attrs = fields.filter(([k]) => k !== 'title').map(([k, v]) => `:${k}: ${v}`);
+        return [`= ${title}`, ...attrs, ':stem: latexmath'].join('\n') + '\n';
+      },
+      link: (text, url) => `link:${url}[${text.replace(/\]/g, '\\]')}]`,
+    },
+  };
+
+  function currentDialect(policies = Policies) {
+    return Dialects[policies.outputDialect] || Dialects.markdown;
+  }
+
+  // $…$, $$…$$, $`…`$, \(…\) or \[…\] around TeX a renderer has not typeset (yet); null for anything else
+  function stripTexDelimiters(raw) {
+    const m = (raw || '').trim().match(/^(?:\$\$([\s\S]+)\$\$|\$`([\s\S]+)`\$|\$([\s\S]+)\$|\\\[([\s\S]+)\\\]|\\\(([\s\S]+)\\\))$/);
+    if (!m) return null;
+    return { latex: (m[1] ?? m[2] ?? m[3] ?? m[4] ?? m[5]).trim(), display: m[1] !== undefined || m[4] !== undefined };
+  }
+
+  // LaTeXML equation table -> TeX: formula cells per row (alignment cells joined by &), (n) numbers as \tag{n}.
+  function latexmlEquationTex(table, policies = Policies) {
+    const rows = [];
+    for (const tr of table.querySelectorAll('tr.ltx_eqn_row')) {
+      const cells = Array.from(tr.querySelectorAll(':scope > td.ltx_eqn_cell:not(.ltx_eqn_eqno):not([class*="_pad"])'), td =>
+        Array.from(td.querySelectorAll('math'), m => extractLatexFromElement(m, policies).replace(/^\s*\\displaystyle\b\s*/, '')).join(' ').trim());
+      if (!cells.some(Boolean)) continue;
+      const tag = (tr.querySelector('.ltx_tag_equation')?.textContent || '').trim().replace(/^\((.*)\)$/, '$1');
+      rows.push({ cells, tag });
+    }
+    if (!rows.length) return '';
+    if (rows.length === 1) {
+      const [{ cells, tag }] = rows;
+      return cells.filter(Boolean).join(' ') + (tag ? ` \\tag{${tag}}` : '');
+    }
+    // Several lines: align when numbered (\tag needs it), aligned otherwise
+    const tagged = rows.some(r => r.tag);
+    const lines = rows.map(({ cells, tag }) => {
+      const line = cells.length > 1 ? `${cells[0]} & ${cells.slice(1).join(' ')}`.trim() : cells[0];
+      return line + (tag ? ` \\tag{${tag}}` : tagged ? ' \\notag' : '');
+    });
+    const env = tagged ? 'align' : 'aligned';
+    return `\\begin{${env}}\n${lines.join(' \\\\\n')}\n\\end{${env}}`;
+  }
+
+  // Section edit links, skip links, empty template output; backlinks and screen-reader labels in reference entries
+  const MEDIAWIKI_CHROME_SELECTOR = '.mw-editsection, .mw-jump-link, .mw-empty-elt, .mw-cite-backlink, .cite-accessibility-label';
+  const MEDIAWIKI_MATH_CLASSES = ['mwe-math-element', 'mwe-math-fallback-image-inline', 'mwe-math-fallback-image-display'];
+
+  // Votes, post menus, user cards, tags and comment threads around a post
+  const STACK_EXCHANGE_CHROME_SELECTOR = '.js-voting-container, .votecell, .js-post-menu, .post-menu, .post-signature, ' +
+    '.post-taglist, .comments, .js-comments-container, .js-post-comments-component, .comments-link, .js-add-link';
+
+  // Heading permalinks and copy buttons
+  const GITHUB_CHROME_SELECTOR = 'a.anchor[href^="#"], .zeroclipboard-container, clipboard-copy';
+
+  // Example headers (language label, copy button) and the playground buttons
+  const MDN_CHROME_SELECTOR = '.example-header, .copy-icon, .play-button, button';
+
+  // Per-site extraction adapters. One applies when `hosts` matches the page's hostname, `urls` its whole URL, or
+  // `detect(doc)` recognizes the software (a MediaWiki or LaTeXML page anywhere). Each may have
+  //   preClean(container, doc)  edit the captured clone before sanitizing (custom elements and page chrome are still there)
+  //   rules(converter)          add Turndown rules; they are added after the generic ones, so they win
+  //   postProcess(md)           rewrite the converted Markdown, before line clean-up and attribution
+  const SiteAdapters = [
+    {
+      name: 'mediawiki',
+      hosts: /(?:^|\.)(?:wikipedia|wiktionary|wikibooks|wikiversity|wikisource|wikiquote|wikivoyage|wikinews|wikidata|wikimedia|mediawiki)\.org$/,
+      detect: (doc) => !!doc.querySelector('body.mediawiki, .mw-parser-output'),
+      preClean(container) {
+        container.querySelectorAll(MEDIAWIKI_CHROME_SELECTOR).forEach(n => n.remove());
+      },
+      rules(converter) {
+        // Rendered-formula images left over once the wrapper's TeX was read
+        converter.td.addRule('mediawikiMathImage', {
+          filter: (node) => converter.policies.wikipediaRemoveResidualMathImagesAfterExtract && node.nodeName.toLowerCase() === 'img' &&
+            /\/media\/math\/render\//.test(node.getAttribute('src') || ''),
+          replacement: () => ''
+        });
+
+        // Math wrapper (or a fallback image on its own): TeX from the MathML inside, else the image's alt text
+        converter.td.addRule('mediawikiMath', {
+          filter: (node) => MEDIAWIKI_MATH_CLASSES.some(c => node.classList?.contains(c)),
+          replacement: (_content, node) => {
+            const img = node.nodeName.toLowerCase() === 'img' ? node : node.querySelector('img');
+            const latexRaw = (extractLatexFromElement(node, converter.policies) || img?.getAttribute('alt') || img?.getAttribute('aria-label') || '').trim();
+            if (!latexRaw) return '';
+
+            // Display if forced by \displaystyle (see mathToMarkdown), for the display fallback image, or
+            // (Obsidian heuristic) when the parent is mwe-math-element and follows a <p>
+            const parent = node.parentElement;
+            const displayByDom = node.classList.contains('mwe-math-fallback-image-display') ||
+              (!!parent?.classList.contains('mwe-math-element') && parent.previousElementSibling?.nodeName.toLowerCase() === 'p');
+            return mathToMarkdown(node, latexRaw, displayByDom, converter.policies);
+          }
+        });
+      },
+    },
+    {
+      name: 'stackexchange',
+      hosts: /(?:^|\.)(?:stackoverflow|stackexchange|serverfault|superuser|askubuntu|stackapps)\.com$|(?:^|\.)mathoverflow\.net$/,
+      preClean(container) {
+        container.querySelectorAll(STACK_EXCHANGE_CHROME_SELECTOR).forEach(n => n.remove());
+        // MathJax typesets lazily; formulas it has not reached are still their $…$ source. Typeset ones are
+        // unwrapped: an SVG frame leaves the wrapper without text, and Turndown would drop it as blank.
+        container.querySelectorAll('.math-container').forEach((el) => {
+          if (el.childElementCount) { el.replaceWith(...el.childNodes); return; }
+          const tex = stripTexDelimiters(el.textContent);
+          if (tex?.latex) el.replaceWith(texSourceSpan(tex.latex, tex.display));
+        });
+      },
+    },
+    {
+      name: 'arxiv',
+      hosts: /(?:^|\.)ar5iv\.(?:labs\.arxiv\.)?org$/,
+      urls: /^https?:\/\/(?:www\.)?arxiv\.org\/html\//,
+      detect: (doc) => !!doc.querySelector('meta[name="generator"][content^="LaTeXML"], .ltx_page_main'),
+      preClean(container) {
+        // arXiv's "Report issue for preceding element" buttons, ar5iv's logo and footer
+        container.querySelectorAll('button, .ltx_page_logo, .ar5iv-footer').forEach(n => n.remove());
+      },
+      rules(converter) {
+        converter.td.addRule('latexmlEquation', {
+          filter: (node) => node.nodeName.toLowerCase() === 'table' && node.matches('.ltx_equation, .ltx_equationgroup, .ltx_eqn_table'),
+          replacement: (_content, node) => {
+            const latex = normalizeTex(latexmlEquationTex(node, converter.policies), { display: true });
+            return latex ? '\n' + renderMath(latex, true, converter.policies) + '\n' : '';
+          }
+        });
+
+        // Footnotes sit inline (mark + hidden text) -> [^n]
+        converter.td.addRule('latexmlNote', {
+          filter: (node) => !!node.classList?.contains('ltx_note') && !!node.querySelector('.ltx_note_content'),
+          replacement: (content, node) => {
+            const text = node.querySelector('.ltx_note_content').cloneNode(true);
+            text.querySelectorAll('.ltx_note_mark, .ltx_tag_note').forEach(n => n.remove());
+            const note = converter.footnote(node.id || text.textContent.trim(), text);
+            return note ? converter.footnoteRef(note) : content;
+          }
+        });
+      },
+    },
+    {
+      name: 'github',
+      hosts: /(?:^|\.)github\.com$/,
+      preClean(container) {
+        container.querySelectorAll(GITHUB_CHROME_SELECTOR).forEach(n => n.remove());
+        // <math-renderer> holds the source until GitHub's MathJax typesets it; typeset ones go through the MathJax rules.
+        container.querySelectorAll('math-renderer').forEach((el) => {
+          if (el.querySelector('mjx-container, math, svg')) return;
+          const tex = stripTexDelimiters(el.textContent);
+          if (tex?.latex) el.replaceWith(texSourceSpan(tex.latex, tex.display || el.classList.contains('js-display-math')));
+        });
+        // With the references selected too, the definitions come from them; the footnote list would repeat them.
+        if (container.querySelector('[data-footnote-ref]')) container.querySelectorAll('section[data-footnotes]').forEach(n => n.remove());
+        container.querySelectorAll('[data-footnote-backref]').forEach(n => n.remove());
+      },
+      rules(converter) {
+        converter.td.addRule('githubFootnote', {
+          filter: (node) => node.nodeName.toLowerCase() === 'sup' && !!node.querySelector('a[data-footnote-ref]'),
+          replacement: (content, node) => {
+            const id = citationTarget(node);
+            const note = id && converter.footnote(id);
+            return note ? converter.footnoteRef(note) : content;
+          }
+        });
+
+        // Alerts keep GitHub's own > [!NOTE] syntax in GFM; Obsidian already writes them as callouts.
+        if (currentDialect(converter.policies) !== Dialects.markdown) return;
+        converter.td.addRule('githubAlertTitle', {
+          filter: (node) => !!node.classList?.contains('markdown-alert-title'),
+          replacement: () => ''
+        });
+        converter.td.addRule('githubAlert', {
+          filter: (node) => !!node.classList?.contains('markdown-alert'),
+          replacement: (content, node) => callout(calloutType(node).toUpperCase(), '', '', content)
+        });
+      },
+    },
+    {
+      name: 'mdn',
+      hosts: /^developer\.mozilla\.org$/,
+      preClean(container) {
+        container.querySelectorAll(MDN_CHROME_SELECTOR).forEach(n => n.remove());
+        // Headings are links to themselves; keep their text.
+        container.querySelectorAll('h1, h2, h3, h4, h5, h6').forEach((h) => {
+          const a = h.querySelector(':scope > a[href^="#"]');
+          if (a && a.textContent.trim() === h.textContent.trim()) a.replaceWith(...a.childNodes);
+        });
+      },
+      rules(converter) {
+        // Note/warning cards: GFM alerts (what MDN's own sources use) or Obsidian callouts, without the "Note:" lead-in
+        const dialect = currentDialect(converter.policies);
+        if (dialect !== Dialects.markdown && dialect !== Dialects.obsidian) return;
+        converter.td.addRule('mdnNotecard', {
+          filter: (node) => !!node.classList?.contains('notecard'),
+          replacement: (content, node) => {
+            const type = node.classList.contains('warning') || node.classList.contains('deprecated') ? 'warning' : 'note';
+            const body = content.replace(/^\s*\*\*[^*\n]+:\*\*\s*/, '');
+            return callout(dialect === Dialects.obsidian ? type : type.toUpperCase(), '', '', body);
+          }
+        });
+      },
+    },
+  ];
+
+  // Adapters for the page `doc` was loaded from, in registry order
+  function adaptersFor(doc = document, policies = Policies) {
+    if (!policies.siteAdapters) return [];
+    const url = new URL(doc.URL);
+    return SiteAdapters.filter(a => a.hosts?.test(url.hostname) || a.urls?.test(url.href) || !!a.detect?.(doc));
+  }
+
+  let cachedConverter = null;
+
+  // Building Turndown with every rule costs more than converting a typical selection, so one converter is
+  // kept until a setting changes or another site's adapters apply (dialect, escaping and rules are fixed at construction).
+  function converterFor(doc = document, policies = Policies) {
+    const adapters = adaptersFor(doc, policies);
+    const key = JSON.stringify(policies) + '|' + adapters.map(a => a.name).join(',');
+    if (cachedConverter?.key !== key) {
+      const dialect = currentDialect(policies);
+      // A copy: the converter outlives this call, and the live Policies can change under a chunked conversion.
+      cachedConverter = { key, converter: new dialect.Converter({ ...dialect.options, doc, adapters, policies: { ...policies } }) };
+    }
+    return cachedConverter.converter.reset(doc);
+  }
+
+  // Every line-level clean-up in one pass: blank-line runs capped at maxBlank, footnote definitions set apart
+  // from the paragraph above, blank lines dropped between sibling list items (tightLists) and between adjacent
+  // display-math blocks (tightMath). Delimited blocks (code, display math) pass through untouched.
+  function normalizeLines(md, { maxBlank, tightLists = false, tightMath = false, dialect = Dialects.markdown, delims = MATH_DELIMITERS.dollars }) {
+    const out = [];
+    const open = delims.open.split('\n')[0];
+    const isTableLine = (l) => /^\s*\|.*\|\s*$/.test(l) || /^\s*\|?[-: ]+\|[-|: ]*\s*$/.test(l);
+    let verbatim = null;
+    let blanks = 0;
+
+    for (const line of md.replace(/\r\n/g, '\n').split('\n')) {
+      // A block closes only with its own delimiter.
+      const key = dialect.verbatimKey(line);
+      const toggles = !!key && (!verbatim || key === verbatim);
+      if (verbatim && !toggles) { out.push(line); continue; }
+      if (!toggles && !line.trim()) { blanks++; continue; }
+
+      // The blank run before this line, decided now that both of its neighbours are known
+      const prev = out[out.length - 1];
+      let n = Math.min(blanks, maxBlank);
+      if (n === 0 && !toggles && !isTableLine(line) && FOOTNOTE_DEF_RE.test(line) &&
+          prev !== undefined && prev.trim() && !FOOTNOTE_DEF_RE.test(prev)) n = 1;
+      if (n === 1 && prev !== undefined) {
+        const p = tightLists && prev.match(dialect.listItem);
+        const q = p && line.match(dialect.listItem);
+        if (q && p[1].length === q[1].length) n = 0;
+        else if (tightMath && !delims.fenced && prev.trim() === delims.close && line.trim() === open) n = 0;
       }
+      for (; n > 0; n--) out.push('');
+      blanks = 0;
+
+      if (toggles) verbatim = verbatim ? null : key;
       out.push(line);
     }
+    for (let n = Math.min(blanks, maxBlank); n > 0; n--) out.push('');
     return out.join('\n');
   }
 
-  function postProcess(md) {
-    let out = md;
-    out = normalizeBlanklinesBlockSafe(out, Policies.blanklineMax);
-    if (Policies.tightLists) out = tightenListsBlockSafe(out);
-    if (Policies.adjacentDisplayMathTight) out = tightenAdjacentDisplayMathBlocks(out);
-    return out.trim() + '\n';
+  class SourceAttribution {
+    collect(range, text) {
+      const meta = (sel) => (document.querySelector(sel)?.getAttribute('content') || '').trim();
+      const canonical = document.querySelector('link[rel="canonical"]')?.getAttribute('href');
+      const heading = this.nearestHeading(range?.startContainer);
+      return {
+        title: meta('meta[property="og:title"]') || (document.title || '').trim() || location.hostname,
+        url: resolveUrl(canonical) || location.href.replace(/#.*$/, ''),
+        site: meta('meta[property="og:site_name"]') || meta('meta[name="application-name"]') || location.hostname,
+        author: meta('meta[name="author"]') || meta('meta[property="article:author"]'),
+        published: meta('meta[property="article:published_time"]') || meta('meta[name="date"]') || meta('meta[itemprop="datePublished"]'),
+        captured: this.timestamp(new Date()),
+        heading: heading?.text || '',
+        anchor: heading?.id || '',
+        textFragment: this.textFragment(text),
+      };
+    }
+
+    // Last heading that starts before `node` in document order (or contains it); shadow content counts
+    // from its outermost host, frame content from its own document.
+    nearestHeading(node) {
+      if (!node) return null;
+      for (let r = node.getRootNode(); isShadowRoot(r); r = node.getRootNode()) node = r.host;
+      let found = null;
+      for (const h of (node.ownerDocument || document).querySelectorAll('h1, h2, h3, h4, h5, h6')) {
+        const pos = h.compareDocumentPosition(node);
+        if (!(pos & (Node.DOCUMENT_POSITION_FOLLOWING | Node.DOCUMENT_POSITION_CONTAINED_BY))) break;
+        found = h;
+      }
+      if (!found) return null;
+
+      const clone = found.cloneNode(true);
+      clone.querySelectorAll('.mw-editsection, .headerlink, .anchor, .hash-link').forEach(n => n.remove());
+      return {
+        text: normalizeInvisibleUnicode(clone.textContent).replace(/\s+/g, ' ').trim(),
+        id: found.id || found.querySelector('[id]')?.id || found.parentElement?.id || '',
+      };
+    }
+
+    // Text fragment directive (#:~:text=start,end) pointing back at the selected passage.
+    textFragment(text) {
+      const words = normalizeInvisibleUnicode(text).replace(/\s+/g, ' ').trim().split(' ').filter(Boolean);
+      if (!words.length) return '';
+      const enc = (ws) => encodeURIComponent(ws.join(' ')).replace(/-/g, '%2D');
+      if (words.length <= 8) return 'text=' + enc(words);
+      return 'text=' + enc(words.slice(0, 4)) + ',' + enc(words.slice(-4));
+    }
+
+    timestamp(d) {
+      const p = (n) => String(n).padStart(2, '0');
+      return `${d.getFullYear()}-${p(d.getMonth() + 1)}-${p(d.getDate())}T${p(d.getHours())}:${p(d.getMinutes())}:${p(d.getSeconds())}`;
+    }
+
+    link(info) {
+      const frag = info.anchor || info.textFragment ? '#' + encodeURIComponent(info.anchor) : '';
+      const directive = info.textFragment ? ':~:' + info.textFragment : '';
+      return (info.url + frag + directive).replace(/\(/g, '%28').replace(/\)/g, '%29');
+    }
+
+    // YAML properties, Org keywords or an AsciiDoc document header, per output dialect
+    frontmatter(info, policies = Policies) {
+      const fields = [
+        ['title', info.title], ['source', info.url], ['site', info.site], ['author', info.author],
+        ['published', info.published], ['created', info.captured], ['heading', info.heading],
+      ];
+      return currentDialect(policies).header(fields.filter(([, v]) => v));
+    }
+
+    footer(info, policies = Policies) {
+      const title = info.heading ? `${info.title} › ${info.heading}` : info.title;
+      return `Source: ${currentDialect(policies).link(title, this.link(info))}`;
+    }
+
+    apply(md, info, policies = Policies) {
+      if (policies.sourceHeader === 'frontmatter') return this.frontmatter(info, policies) + '\n' + md;
+      if (policies.sourceHeader === 'footer') return md + '\n' + this.footer(info, policies) + '\n';
+      return md;
+    }
+  }
+  const attribution = new SourceAttribution();
+
+  function postProcess(md, source = null, policies = Policies) {
+    const dialect = currentDialect(policies);
+    const out = normalizeLines(md, {
+      maxBlank: policies.blanklineMax,
+      tightLists: policies.tightLists,
+      tightMath: policies.adjacentDisplayMathTight,
+      dialect,
+      delims: mathDelimiters(policies),
+    }).trim() + '\n';
+    return source ? attribution.apply(out, source, policies) : out;
+  }
+
+  // Sanitized containers -> one document in the current dialect, citations as footnotes at the end.
+  // `doc` is the document they were cloned from (base URL, reference list).
+  function renderMarkdown(sanitized, doc = document, policies = Policies) {
+    const converter = converterFor(doc, policies);
+    return joinParts(sanitized.map(c => converter.convert(c)), converter);
+  }
+
+  function joinParts(parts, converter) {
+    let md = parts.filter(part => part.trim()).join('\n\n');
+    const notes = converter.takeFootnotes();
+    if (notes) md += '\n\n' + notes;
+    for (const adapter of converter.adapters) if (adapter.postProcess) md = adapter.postProcess(md);
+    return md;
+  }
+
+  // Selections with more text than this are converted a run of blocks at a time, yielding to the page in between.
+  const CHUNK_CHARS = 30000;
+  const BLOCK_TAGS = /^(address|article|aside|blockquote|details|div|dl|figure|footer|h[1-6]|header|hr|main|nav|ol|p|pre|section|table|ul)$/;
+
+  // Top-level nodes grouped into runs of about CHUNK_CHARS of text. A run only ends between two block elements,
+  // so a paragraph's inline pieces (and the TeX kept after a MathJax frame) are never split.
+  function blockRuns(root) {
+    const runs = [];
+    let run = [];
+    let size = 0;
+    let afterBlock = false;
+    for (const node of Array.from(root.childNodes)) {
+      const isBlock = node.nodeType === Node.ELEMENT_NODE && BLOCK_TAGS.test(node.nodeName.toLowerCase());
+      if (size >= CHUNK_CHARS && afterBlock && isBlock) {
+        runs.push(run);
+        run = [];
+        size = 0;
+      }
+      run.push(node);
+      size += (node.textContent || '').length;
+      if (isBlock) afterBlock = true;
+      else if (node.nodeType !== Node.TEXT_NODE || node.nodeValue.trim()) afterBlock = false;
+    }
+    if (run.length) runs.push(run);
+    return runs;
+  }
+
+  // The only element child of `el`, if no text sits beside it
+  function soleChild(el) {
+    if (el.childElementCount !== 1) return null;
+    for (const n of el.childNodes) if (n.nodeType === Node.TEXT_NODE && n.nodeValue.trim()) return null;
+    return el.firstElementChild;
+  }
+
+  const yieldToPage = () => new Promise(resolve => setTimeout(resolve, 0));
+
+  // renderMarkdown for large selections. Wrappers with no rule of their own (a whole-article <div>) are looked
+  // through, so there are blocks to split at.
+  async function renderMarkdownChunked(sanitized, doc = document, policies = Policies) {
+    const converter = converterFor(doc, policies);
+    const rules = converter.td.rules;
+    const parts = [];
+    for (const container of sanitized) {
+      converter.prepare(container);
+      let root = container;
+      for (let only = soleChild(root); only && rules.forNode(only) === rules.defaultRule; only = soleChild(root)) root = only;
+
+      for (const run of blockRuns(root)) {
+        const wrap = container.ownerDocument.createElement('div');
+        for (const node of run) wrap.appendChild(node.cloneNode(true));
+        parts.push(converter.convert(wrap, { prepared: true }));
+        await yieldToPage();
+      }
+    }
+    return joinParts(parts, converter);
+  }
+
+  // Outermost formulas (MediaWiki and MathJax nest MathML copies inside theirs)
+  const FORMULA_SELECTOR = '.mwe-math-element, mjx-container, math, .katex, ' + MJ2_FRAME_SELECTOR;
+
+  function countFormulas(containers) {
+    let n = 0;
+    for (const c of containers) {
+      for (const el of c.querySelectorAll(FORMULA_SELECTOR)) if (!el.parentElement?.closest(FORMULA_SELECTOR)) n++;
+    }
+    return n;
   }
 
   class Engine {
@@ -491,71 +2822,304 @@
       this.inFlight = false;
       this.queued = false;
       this.lastSig = null;
+      this.declinedSig = null;
       this.cooldownUntil = 0;
+      // What this script last put on the clipboard, and what it put there before (for undo)
+      this.lastCopy = null;
+      this.previousCopy = null;
+      // The passage the last copy appended to the accumulation buffer, or the one undo took back out
+      this.appended = null;
+      this.removed = null;
+    }
+
+    // Clipboard write + toast; okMsg overrides the default "Copied Markdown (+ flavors)" message.
+    // edit: a conversion result the toast can reopen in the preview; appended/removed: the buffer passage
+    // this copy added or took out, for undo.
+    deliver(md, html = '', okMsg = null, { edit = null, appended = null, removed = null } = {}) {
+      this.appended = appended;
+      this.removed = removed;
+      const write = clipboard.writeNow(md, html);
+      const report = (flavors) => {
+        if (!flavors.length) { toast.show('Copy failed', false); return; }
+        if (md !== this.lastCopy) {
+          this.previousCopy = this.lastCopy;
+          this.lastCopy = md;
+        }
+        const actions = [];
+        if (edit) actions.push({ label: 'Edit', run: () => previewPanel.show(edit) });
+        if (this.previousCopy !== null || this.appended !== null) actions.push({ label: 'Undo', run: () => this.undo() });
+        toast.show(okMsg || copiedMessage(flavors), true, { actions });
+      };
+      if (!write.started) toast.show('Copy failed (clipboard blocked)', false);
+      else if (write.flavors) report(write.flavors);
+      else write.promise.then(report);
     }
 
-    handleTrigger() {
+    // Puts back what this script copied before its last copy; undoing again swaps them back. A copy that appended
+    // to the accumulation buffer is undone by taking the passage back out (and undoing again appends it once more).
+    undo() {
+      if (this.appended !== null && buffer.parts().at(-1) === this.appended) {
+        const removed = buffer.pop();
+        const size = buffer.size();
+        this.deliver(buffer.text(), '', `Removed last passage (${size.count} passages, ${formatChars(size.chars)})`, { removed });
+        return;
+      }
+      if (this.removed !== null) {
+        const appended = this.removed;
+        const all = buffer.append(appended);
+        const size = buffer.size();
+        this.deliver(all, '', `Appended (${size.count} passages, ${formatChars(size.chars)})`, { appended });
+        return;
+      }
+      if (this.previousCopy === null) { toast.show('Nothing to undo', false); return; }
+      this.deliver(this.previousCopy, '', 'Restored previous copy');
+    }
+
+    // Markdown for the captured selection under `policies` (a snapshot: settings changed meanwhile apply to the
+    // next copy); the source is collected when any attribution (header, footer, buffer source line) will cite it.
+    async render({ sanitized, doc, text, range }, policies = { ...Policies }) {
+      const large = text.length > CHUNK_CHARS;
+      if (large) toast.show('Converting…', true, { sticky: true });
+      let md;
+      try { md = large ? await renderMarkdownChunked(sanitized, doc, policies) : renderMarkdown(sanitized, doc, policies); }
+      catch (e) { Log.w('Turndown missing; copying plain text', e); md = text.trim() + '\n'; }
+      finally { if (large) toast.hide(); }
+
+      const wantSourceLine = policies.accumulate && policies.accumulateSourceLine && policies.sourceHeader !== 'footer';
+      const source = policies.sourceHeader !== 'none' || wantSourceLine ? attribution.collect(range, text) : null;
+      return { md: postProcess(md, policies.sourceHeader !== 'none' ? source : null, policies), source };
+    }
+
+    // History, then the clipboard or the accumulation buffer.
+    commit(md, html = '', source = null, edit = null) {
+      copyHistory.add(md, source);
+      if (Policies.accumulate) {
+        // The buffer reads as one document: frontmatter heads it once, later passages cite their source in a line.
+        const header = source && Policies.sourceHeader === 'frontmatter' ? attribution.frontmatter(source) + '\n' : '';
+        const first = !buffer.parts().length;
+        const passage = header && !first && md.startsWith(header) ? md.slice(header.length) : md;
+        const wantSourceLine = source && Policies.sourceHeader !== 'footer' && (header ? !first : Policies.accumulateSourceLine);
+        const all = buffer.append(wantSourceLine ? passage + '\n' + attribution.footer(source) + '\n' : passage);
+        const size = buffer.size();
+        this.deliver(all, '', `Appended (${size.count} passages, ${formatChars(size.chars)})`, { appended: buffer.parts().at(-1) });
+      } else {
+        this.deliver(md, html, null, { edit });
+      }
+    }
+
+    // Single entry point for every trigger mode. origin: 'auto' | 'hotkey' | 'menu'; view: the window
+    // (this page or a same-origin frame) holding the selection.
+    // Cooldown and dedup only guard automatic copies; an explicit request always re-copies.
+    // Never rejects: its callers (timers, key handlers, menu commands) don't wait on it.
+    // rerun: a trigger queued behind a conversion, already past the cooldown when it came in.
+    async handleTrigger(origin = 'auto', view = window, rerun = false) {
+      try {
+        await this.copySelection(origin, view, rerun);
+      } catch (e) {
+        // Reading the selection of a frame torn down meanwhile, or a blocked confirm()
+        Log.w('Trigger failed', e);
+        if (origin !== 'auto') toast.show('Copy failed', false);
+      }
+    }
+
+    async copySelection(origin, view, rerun = false) {
+      const explicit = origin !== 'auto';
       const now = Date.now();
-      if (now < this.cooldownUntil) return;
-      this.cooldownUntil = now + Policies.cooldownMs;
+      if (!explicit && !rerun) {
+        if (now < this.cooldownUntil) return;
+        this.cooldownUntil = now + Policies.cooldownMs;
+      }
 
-      const sel = window.getSelection();
-      if (!sel || sel.rangeCount === 0 || sel.isCollapsed) return;
-      if (isEditableTarget(sel.anchorNode)) return;
+      const sel = view.getSelection();
+      if (sel?.rangeCount && isEditableTarget(sel.anchorNode)) return;
+      // Not sel.isCollapsed: Chromium reports a selection inside a shadow root as collapsed at its host.
+      const ranges = sel?.rangeCount ? capture.getRanges(view) : [];
+      if (!ranges.length) {
+        if (explicit) toast.show('Nothing selected', false);
+        return;
+      }
 
-      const range = capture.getPrimaryRange();
-      if (!range) return;
+      // Checked before cloning, which is itself slow at that size; a declined selection is not offered again.
+      const selected = sel.toString();
+      if (Policies.maxSelectionChars && selected.length > Policies.maxSelectionChars) {
+        const sizeSig = stableHash(selected);
+        if (!explicit && sizeSig === this.declinedSig) return;
+        if (!view.confirm(`The selection is ${formatChars(selected.length)} long. Convert it anyway?`)) {
+          this.declinedSig = sizeSig;
+          return;
+        }
+      }
 
-      const tmp = capture.cloneFragment(range);
-      const text = normalizeInvisibleUnicode(sel.toString() || '');
+      const containers = capture.cloneFragments(ranges);
+      const text = normalizeInvisibleUnicode(selected || containers.map(c => c.textContent).join('\n'));
       if (!text.trim()) return;
 
-      const htmlSig = stableHash((tmp.innerHTML || '').slice(0, 20000));
+      // Serializing a large selection only to compare it costs too much; its text tells it apart well enough.
+      const htmlSig = text.length > CHUNK_CHARS ? '' : containers.map(c => stableHash((c.innerHTML || '').slice(0, 20000))).join(',');
       const sig = stableHash(text + '|' + htmlSig);
-      if (sig === this.lastSig) return;
-      this.lastSig = sig;
-
-      if (this.inFlight) { this.queued = true; return; }
+      if (!explicit && sig === this.lastSig) return;
+      // The signature is taken once a conversion starts: a queued selection is compared when it runs.
+      if (this.inFlight) { this.queued = { origin, view }; return; }
       this.inFlight = true;
+      this.lastSig = sig;
 
       try {
-        const container = tmp;
-        sanitizer.sanitize(container);
-
-        let md;
-        try { md = new MarkdownConverter().convert(container); }
-        catch (e) { Log.w('Turndown missing; copying plain text', e); md = text.trim() + '\n'; }
-
-        md = postProcess(md);
-
-        const write = clipboard.writeNow(md);
-        if (!write.started) toast.show('Copy failed (clipboard blocked)', false);
-        else if (write.immediateOk) toast.show('Copied Markdown', true);
-        else if (write.promise) write.promise.then(ok => toast.show(ok ? 'Copied Markdown' : 'Copy failed', ok));
-        else toast.show('Copied Markdown', true);
+        const sanitized = containers.map(c => sanitizer.sanitize(c, view.document));
+        const job = { sanitized, doc: view.document, text, range: ranges[0] };
+        const { md, source } = await this.render(job);
+        // After convert(): the HTML flavor carries the same resolved URLs as the Markdown.
+        const html = sanitized.map(c => c.innerHTML).join('\n');
+        const result = {
+          md, html, source,
+          formulas: countFormulas(sanitized),
+          rerender: (overrides) => this.render(job, { ...Policies, ...overrides }),
+        };
+
+        if (Policies.copyPreview) previewPanel.show(result);
+        else this.commit(md, html, source, result);
 
       } catch (e) {
         Log.w('Pipeline failed', e);
         toast.show('Copy failed', false);
       } finally {
         this.inFlight = false;
-        if (this.queued) { this.queued = false; setTimeout(() => this.handleTrigger(), 0); }
+        if (this.queued) {
+          const { origin, view } = this.queued;
+          this.queued = false;
+          setTimeout(() => this.handleTrigger(origin, view, true), 0);
+        }
       }
     }
   }
 
   const engine = new Engine();
 
+  // "Alt+Shift+C" -> { key: 'c', alt, shift, ctrl, meta }
+  function parseHotkey(spec) {
+    const parts = (spec || '').split('+').map(p => p.trim()).filter(Boolean);
+    if (!parts.length) return null;
+    const mods = parts.slice(0, -1).map(p => p.toLowerCase());
+    return {
+      key: parts[parts.length - 1].toLowerCase(),
+      alt: mods.includes('alt') || mods.includes('option'),
+      shift: mods.includes('shift'),
+      ctrl: mods.includes('ctrl') || mods.includes('control'),
+      meta: mods.includes('meta') || mods.includes('cmd') || mods.includes('command'),
+    };
+  }
+
+  function matchesHotkey(e, hk) {
+    if (!hk || e.altKey !== hk.alt || e.shiftKey !== hk.shift || e.ctrlKey !== hk.ctrl || e.metaKey !== hk.meta) return false;
+    // e.code stays stable for letters/digits under Alt (macOS dead keys) and non-Latin layouts
+    if (/^[a-z]$/.test(hk.key)) return e.code === 'Key' + hk.key.toUpperCase();
+    if (/^[0-9]$/.test(hk.key)) return e.code === 'Digit' + hk.key;
+    return (e.key || '').toLowerCase() === hk.key;
+  }
+
+  // Headless hosts (lib/headless.js under jsdom) evaluate the script inside a function whose `mdclipHeadless`
+  // argument receives the pipeline and settings; no listeners, menu commands or clipboard. Never honoured under a
+  // userscript manager, so a page defining a global of that name gets nothing.
+  const headlessHost = typeof GM_info === 'undefined' && typeof GM === 'undefined' && typeof mdclipHeadless === 'object' ? mdclipHeadless : null;
+  if (headlessHost) {
+    Object.assign(headlessHost, {
+      Defaults, SETTINGS_SCHEMA, Policies, settings, sanitizer, attribution,
+      DOMSanitizer, MarkdownConverter, SiteAdapters, adaptersFor, joinPassages, engine,
+      normalizeWikiTex, normalizeTex, renderMarkdown, postProcess,
+    });
+    return;
+  }
+
   let timer = null;
-  function schedule() {
+  // Window of the last trigger event, so menu commands copy from the frame the user was working in
+  let lastView = window;
+  function schedule(e, view = window) {
+    if (Policies.disabled) return;
+    if (Policies.triggerMode !== 'auto' && Policies.triggerMode !== 'modifier') return;
+    if (Policies.triggerMode === 'modifier' && !e?.getModifierState?.(Policies.triggerModifier)) return;
     clearTimeout(timer);
-    timer = setTimeout(() => engine.handleTrigger(), Policies.debounceMs);
+    timer = setTimeout(() => engine.handleTrigger('auto', view), Policies.debounceMs);
+  }
+
+  if (typeof GM_registerMenuCommand === 'function') {
+    GM_registerMenuCommand('Copy selection as Markdown', () => engine.handleTrigger('menu', lastView));
+    GM_registerMenuCommand('Undo last copy', () => engine.undo());
+    GM_registerMenuCommand('Copy history…', () => historyPanel.open());
+    GM_registerMenuCommand('Toggle accumulation', () => toggleAccumulation());
+    GM_registerMenuCommand('Clear accumulation buffer', () => { buffer.clear(); toast.show('Buffer cleared', true); });
+    GM_registerMenuCommand('Settings…', () => settingsPanel.open());
+  }
+
+  function bindTriggers(view) {
+    view.addEventListener('mouseup', (e) => { lastView = view; schedule(e, view); }, true);
+    view.addEventListener('keyup', (e) => {
+      lastView = view;
+      if (e.key === 'Shift' || e.key === 'Control' || e.key === 'Alt' || e.key === 'Meta') return;
+      schedule(e, view);
+    }, true);
+    view.addEventListener('keydown', (e) => {
+      if (Policies.disabled || Policies.triggerMode === 'menu' || e.repeat) return;
+      if (!matchesHotkey(e, parseHotkey(Policies.hotkey))) return;
+      e.preventDefault();
+      e.stopPropagation();
+      clearTimeout(timer);
+      lastView = view;
+      engine.handleTrigger('hotkey', view);
+    }, true);
+  }
+
+  // One instance handles each document: the script also runs inside http(s) frames, but a frame its embedder
+  // can reach belongs to the embedder's instance, which also covers the about:blank, srcdoc and document.write
+  // frames no instance runs in. Nothing is written into the pages.
+  const boundDocs = new WeakSet();
+
+  function claimDocument(doc) {
+    if (!doc?.documentElement || boundDocs.has(doc)) return false;
+    boundDocs.add(doc);
+    return true;
   }
 
-  window.addEventListener('mouseup', schedule, true);
-  window.addEventListener('keyup', (e) => {
-    if (e.key === 'Shift' || e.key === 'Control' || e.key === 'Alt' || e.key === 'Meta') return;
-    schedule();
-  }, true);
+  const watchedFrames = new WeakSet();
+  // A frame's initial about:blank window survives a same-origin navigation, listeners included
+  const boundViews = new WeakSet();
+
+  // Same-origin frames only; reading a cross-origin contentDocument throws or yields null.
+  function bindFrame(frame) {
+    if (!watchedFrames.has(frame)) {
+      watchedFrames.add(frame);
+      // Navigating the frame replaces its document and window
+      frame.addEventListener('load', () => bindFrame(frame));
+    }
+    let doc;
+    try { doc = frame.contentDocument; } catch { return; }
+    const view = doc?.defaultView;
+    if (!view || !claimDocument(doc)) return;
+    if (!boundViews.has(view)) {
+      boundViews.add(view);
+      Log.d('binding triggers in frame', frame.src || '(inline)');
+      bindTriggers(view);
+    }
+    watchFrames(doc);
+  }
+
+  function watchFrames(doc) {
+    doc.querySelectorAll('iframe, frame').forEach(bindFrame);
+    new MutationObserver((mutations) => {
+      for (const m of mutations) {
+        for (const n of m.addedNodes) {
+          if (n.nodeType !== Node.ELEMENT_NODE) continue;
+          if (/^i?frame$/i.test(n.nodeName)) bindFrame(n);
+          else n.querySelectorAll?.('iframe, frame').forEach(bindFrame);
+        }
+      }
+    }).observe(doc.documentElement, { childList: true, subtree: true });
+  }
+
+  // window.frameElement is null at the top and under a cross-origin embedder
+  let embedded = false;
+  try { embedded = !!window.frameElement; } catch { /* cross-origin */ }
+  if (!embedded && claimDocument(document)) {
+    bindTriggers(window);
+    watchFrames(document);
+  }
 
 })();